@@ -0,0 +1,287 @@
+let dbus = require("dbus-next");
+const { Interface, ACCESS_READ } = dbus.interface;
+
+/**
+ * The UUID of the ANCS service. Soliciting it asks iOS to connect and expose the ANCS to us.
+ * @type {String}
+ */
+const ANCS_SERVICE_UUID = "7905F431-B5CE-4E99-A40F-4B1E122D00D0";
+
+/**
+ * The UUIDs of the small GATT service registered alongside the advertisement. Bluez won't register an application without
+ * at least one service, so this just holds a read-only characteristic with the advertised name.
+ * @type {{service: String, name: String}}
+ */
+const PLACEHOLDER_UUIDS = {
+    service: "5E7C2A10-3B8F-4D0B-9C61-AC5D7E1F0A01",
+    name: "5E7C2A11-3B8F-4D0B-9C61-AC5D7E1F0A01",
+};
+
+// Each advertisement gets its own object paths, so several can share one bus
+let count = 0;
+
+/**
+ * Internal class for the org.bluez.LEAdvertisement1 object Bluez reads the advertisement from
+ */
+class LEAdvertisement extends Interface {
+    #name;
+
+    constructor(name) {
+        super("org.bluez.LEAdvertisement1");
+        this.#name = name;
+    }
+
+    get Type() {
+        return "peripheral";
+    }
+
+    get LocalName() {
+        return this.#name;
+    }
+
+    get SolicitUUIDs() {
+        return [ANCS_SERVICE_UUID];
+    }
+
+    Release() {
+        // Bluez has dropped the advertisement, nothing to tidy up on our side
+    }
+}
+LEAdvertisement.configureMembers({
+    properties: {
+        Type: { signature: "s", access: ACCESS_READ },
+        LocalName: { signature: "s", access: ACCESS_READ },
+        SolicitUUIDs: { signature: "as", access: ACCESS_READ },
+    },
+    methods: {
+        Release: {},
+    },
+});
+
+/**
+ * Internal class for the root of the GATT application, which tells Bluez what the application contains
+ */
+class GattApplication extends Interface {
+    #objects;
+
+    /**
+     * @param {Object.<string, Object.<string, Object.<string, dbus.Variant>>>} objects The application's objects, as returned by GetManagedObjects
+     */
+    constructor(objects) {
+        super("org.freedesktop.DBus.ObjectManager");
+        this.#objects = objects;
+    }
+
+    GetManagedObjects() {
+        return this.#objects;
+    }
+}
+GattApplication.configureMembers({
+    methods: {
+        GetManagedObjects: { outSignature: "a{oa{sa{sv}}}" },
+    },
+});
+
+/**
+ * Internal class for the placeholder org.bluez.GattService1
+ */
+class GattService extends Interface {
+    constructor() {
+        super("org.bluez.GattService1");
+    }
+
+    get UUID() {
+        return PLACEHOLDER_UUIDS.service;
+    }
+
+    get Primary() {
+        return true;
+    }
+}
+GattService.configureMembers({
+    properties: {
+        UUID: { signature: "s", access: ACCESS_READ },
+        Primary: { signature: "b", access: ACCESS_READ },
+    },
+});
+
+/**
+ * Internal class for the placeholder's org.bluez.GattCharacteristic1, which reads back the advertised name
+ */
+class GattCharacteristic extends Interface {
+    #service;
+    #value;
+
+    constructor(service, name) {
+        super("org.bluez.GattCharacteristic1");
+        this.#service = service;
+        this.#value = Buffer.from(name);
+    }
+
+    get UUID() {
+        return PLACEHOLDER_UUIDS.name;
+    }
+
+    get Service() {
+        return this.#service;
+    }
+
+    get Flags() {
+        return ["read"];
+    }
+
+    ReadValue(options) {
+        return this.#value;
+    }
+}
+GattCharacteristic.configureMembers({
+    properties: {
+        UUID: { signature: "s", access: ACCESS_READ },
+        Service: { signature: "o", access: ACCESS_READ },
+        Flags: { signature: "as", access: ACCESS_READ },
+    },
+    methods: {
+        ReadValue: { inSignature: "a{sv}", outSignature: "ay" },
+    },
+});
+
+/**
+ * Advertises this device over BLE, soliciting the ANCS so iOS shows it in its Bluetooth settings and can connect to it directly.
+ * A minimal GATT application is registered too, so iOS has something to connect to.
+ *
+ * You'll usually want `ANCSClient.advertise()` rather than using this directly.
+ */
+class ANCSAdvertisement {
+    /**
+     * The name being advertised
+     * @type {String}
+     * @readonly
+     */
+    name;
+    /**
+     * The Bluez object path of the adapter being advertised on, e.g. `/org/bluez/hci0`
+     * @type {String}
+     * @readonly
+     */
+    adapter;
+    #bus;
+    #paths;
+    #exported = [];
+
+    /**
+     * Create an advertisement. Nothing is advertised until `.start()` is called.
+     * @param {dbus.MessageBus} bus The bus Bluez is on
+     * @param {Object} [options]
+     * @param {String} [options.name] The name to advertise. Keep it short (8 characters or so), as advertisements only have room for 31 bytes. Defaults to "ancs-js".
+     * @param {String} [options.adapter] The Bluez object path of the adapter to advertise on. Defaults to the first that supports advertising.
+     */
+    constructor(bus, options) {
+        this.#bus = bus;
+        this.name = options?.name ?? "ancs-js";
+        this.adapter = options?.adapter;
+        let base = `/ancsjs/advertisement${count++}`;
+        this.#paths = {
+            advertisement: base,
+            application: base + "/app",
+            service: base + "/app/service0",
+            characteristic: base + "/app/service0/char0",
+        };
+    }
+
+    /**
+     * Whether this advertisement is currently registered with Bluez
+     * @type {Boolean}
+     * @readonly
+     */
+    get advertising() {
+        return this.#exported.length > 0;
+    }
+
+    /**
+     * Exports the advertisement and GATT application, and registers them with Bluez
+     * @throws {Error} If there's no adapter that can advertise, or Bluez refuses the advertisement (e.g. the name is too long)
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.advertising) return;
+        let adapter = this.adapter ?? await this.#findAdapter();
+        if (!adapter) throw new Error("No Bluetooth adapter that supports advertising was found");
+        this.adapter = adapter;
+
+        let service = new GattService();
+        let characteristic = new GattCharacteristic(this.#paths.service, this.name);
+        let application = new GattApplication({
+            [this.#paths.service]: {
+                "org.bluez.GattService1": {
+                    UUID: new dbus.Variant("s", PLACEHOLDER_UUIDS.service),
+                    Primary: new dbus.Variant("b", true),
+                },
+            },
+            [this.#paths.characteristic]: {
+                "org.bluez.GattCharacteristic1": {
+                    UUID: new dbus.Variant("s", PLACEHOLDER_UUIDS.name),
+                    Service: new dbus.Variant("o", this.#paths.service),
+                    Flags: new dbus.Variant("as", ["read"]),
+                },
+            },
+        });
+        let advertisement = new LEAdvertisement(this.name);
+        this.#export(this.#paths.advertisement, advertisement);
+        this.#export(this.#paths.application, application);
+        this.#export(this.#paths.service, service);
+        this.#export(this.#paths.characteristic, characteristic);
+
+        let adapterObj = await this.#bus.getProxyObject("org.bluez", adapter);
+        try {
+            await adapterObj.getInterface("org.bluez.GattManager1").RegisterApplication(this.#paths.application, {});
+        } catch (e) {
+            this.#unexportAll();
+            throw new Error("Couldn't register the GATT application. " + e);
+        }
+        try {
+            await adapterObj.getInterface("org.bluez.LEAdvertisingManager1").RegisterAdvertisement(this.#paths.advertisement, {});
+        } catch (e) {
+            await adapterObj.getInterface("org.bluez.GattManager1").UnregisterApplication(this.#paths.application).catch(() => {});
+            this.#unexportAll();
+            throw new Error("Couldn't register the advertisement. " + e);
+        }
+    }
+
+    /**
+     * Unregisters the advertisement and GATT application from Bluez
+     * @returns {Promise<boolean>} False if we weren't advertising
+     */
+    async stop() {
+        if (!this.advertising) return false;
+        try {
+            let adapterObj = await this.#bus.getProxyObject("org.bluez", this.adapter);
+            // Bluez may have released these already (e.g. if it restarted), so don't worry if it doesn't know about them
+            await adapterObj.getInterface("org.bluez.LEAdvertisingManager1").UnregisterAdvertisement(this.#paths.advertisement).catch(() => {});
+            await adapterObj.getInterface("org.bluez.GattManager1").UnregisterApplication(this.#paths.application).catch(() => {});
+        } finally {
+            this.#unexportAll();
+        }
+        return true;
+    }
+
+    /**
+     * Internal method to find the first adapter that supports both advertising and GATT applications
+     * @returns {Promise<String|undefined>}
+     */
+    async #findAdapter() {
+        let bluez = await this.#bus.getProxyObject("org.bluez", "/");
+        let objects = await bluez.getInterface("org.freedesktop.DBus.ObjectManager").GetManagedObjects();
+        return Object.keys(objects).sort().find((path) => objects[path]["org.bluez.LEAdvertisingManager1"] && objects[path]["org.bluez.GattManager1"]);
+    }
+
+    #export(path, iface) {
+        this.#bus.export(path, iface);
+        this.#exported.push([path, iface]);
+    }
+
+    #unexportAll() {
+        for (const [path, iface] of this.#exported.splice(0)) this.#bus.unexport(path, iface);
+    }
+}
+
+module.exports = { ANCSAdvertisement, ANCS_SERVICE_UUID };
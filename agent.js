@@ -0,0 +1,320 @@
+const EventEmitter = require("node:events");
+let dbus = require("dbus-next");
+const { Interface } = dbus.interface;
+
+// Each agent gets its own object path, so several can share one bus
+let count = 0;
+
+/**
+ * A request from Bluez to approve a pairing (or a connection to a service)
+ * @typedef {Object} PairingRequest
+ * @property {"confirmation"|"authorization"|"service"|"passkey"|"pincode"} type What's being asked:
+ * - `confirmation`: Check `passkey` matches the one shown on the iPhone, then accept or reject
+ * - `authorization`: Just-works pairing, with no passkey to compare
+ * - `service`: The device wants to use a service (`uuid`)
+ * - `passkey`/`pincode`: The device wants a passkey (a number) or PIN code (a string), given to `accept()`
+ * @property {String} address The MAC address of the device asking
+ * @property {String} device The Bluez object path of the device asking
+ * @property {Number} [passkey] The passkey to compare, for `confirmation`
+ * @property {String} [uuid] The UUID of the service, for `service`
+ * @property {function(Number|String=): void} accept Approves the request. `passkey` and `pincode` requests must be given a value.
+ * @property {function(): void} reject Refuses the request
+ */
+
+/**
+ * Options for an ANCSAgent
+ * @typedef {Object} ANCSAgentOptions
+ * @property {"DisplayYesNo"|"NoInputNoOutput"|"DisplayOnly"|"KeyboardOnly"|"KeyboardDisplay"} [capability] What this device can do, which decides how pairing works.
+ * Defaults to "DisplayYesNo" (passkey confirmation). Use "NoInputNoOutput" for just-works pairing.
+ * @property {function(PairingRequest): (Boolean|Number|String|Promise<Boolean|Number|String>)} [onPairingRequest] Answers requests, instead of the `pairingRequest` event.
+ * Return True (or the passkey/PIN code) to accept, False to reject.
+ * @property {Boolean} [autoAccept] Accept every request that nobody answers (no `onPairingRequest` and no `pairingRequest` listeners). Defaults to False, rejecting them instead.
+ * @property {Boolean} [trust] Mark devices as trusted once they've been accepted, so they can reconnect without asking again. Defaults to True.
+ * @property {Boolean} [default] Ask Bluez to make this the default agent, so it's used for pairings started by the iPhone. Defaults to True.
+ */
+
+/**
+ * Internal class for the org.bluez.Agent1 object Bluez calls while pairing
+ */
+class Agent1 extends Interface {
+    #handlers;
+
+    /**
+     * @param {{ask: Function, display: Function, cancel: Function, release: Function}} handlers What to do with each call from Bluez
+     */
+    constructor(handlers) {
+        super("org.bluez.Agent1");
+        this.#handlers = handlers;
+    }
+
+    Release() {
+        this.#handlers.release();
+    }
+
+    async RequestPinCode(device) {
+        return String(await this.#handlers.ask({ type: "pincode", device }));
+    }
+
+    DisplayPinCode(device, pincode) {
+        this.#handlers.display(device, pincode);
+    }
+
+    async RequestPasskey(device) {
+        return Number(await this.#handlers.ask({ type: "passkey", device }));
+    }
+
+    DisplayPasskey(device, passkey, entered) {
+        this.#handlers.display(device, passkey);
+    }
+
+    async RequestConfirmation(device, passkey) {
+        await this.#handlers.ask({ type: "confirmation", device, passkey });
+    }
+
+    async RequestAuthorization(device) {
+        await this.#handlers.ask({ type: "authorization", device });
+    }
+
+    async AuthorizeService(device, uuid) {
+        await this.#handlers.ask({ type: "service", device, uuid });
+    }
+
+    Cancel() {
+        this.#handlers.cancel();
+    }
+}
+Agent1.configureMembers({
+    methods: {
+        Release: {},
+        RequestPinCode: { inSignature: "o", outSignature: "s" },
+        DisplayPinCode: { inSignature: "os" },
+        RequestPasskey: { inSignature: "o", outSignature: "u" },
+        DisplayPasskey: { inSignature: "ouq" },
+        RequestConfirmation: { inSignature: "ou" },
+        RequestAuthorization: { inSignature: "o" },
+        AuthorizeService: { inSignature: "os" },
+        Cancel: {},
+    },
+});
+
+/**
+ * Pairing Agent Class
+ * @extends EventEmitter
+ * @fires ANCSAgent#pairingRequest When Bluez asks for a pairing to be approved
+ * @fires ANCSAgent#displayPasskey When a passkey or PIN code should be shown to the user
+ * @fires ANCSAgent#cancelled When Bluez gives up on a request (e.g. it timed out, or the iPhone cancelled)
+ * @fires ANCSAgent#released When Bluez stops using this agent
+ *
+ * The ANCS only works over a bonded (paired) connection. This agent lets a headless device pair with an iPhone:
+ * ```js
+ * let agent = await device.registerAgent();
+ * agent.on("pairingRequest", (request) => {
+ *     console.log("Does the iPhone show", request.passkey, "?");
+ *     request.accept();
+ * });
+ * ```
+ * You'll usually want `ANCSClient.registerAgent()` rather than creating this directly.
+ */
+class ANCSAgent extends EventEmitter {
+    /**
+     * The object path this agent is exported on
+     * @type {String}
+     * @readonly
+     */
+    path;
+    #bus;
+    #options;
+    #registered = false;
+    #interface;
+    #pending = new Set();
+
+    /**
+     * Create a pairing agent. Nothing happens until `.register()` is called.
+     * @param {dbus.MessageBus} bus The bus Bluez is on
+     * @param {ANCSAgentOptions} [options]
+     */
+    constructor(bus, options) {
+        super(); // Set up event emitter
+        this.#bus = bus;
+        this.#options = {
+            capability: options?.capability ?? "DisplayYesNo",
+            onPairingRequest: options?.onPairingRequest,
+            autoAccept: options?.autoAccept ?? false,
+            trust: options?.trust ?? true,
+            default: options?.default ?? true,
+        };
+        this.path = `/ancsjs/agent${count++}`;
+    }
+
+    /**
+     * Whether this agent is registered with Bluez
+     * @type {Boolean}
+     * @readonly
+     */
+    get registered() {
+        return this.#registered;
+    }
+
+    /**
+     * Exports the agent and registers it with Bluez
+     * @throws {Error} If Bluez refuses the agent (e.g. one is already registered on this path)
+     * @returns {Promise<void>}
+     */
+    async register() {
+        if (this.#registered) return;
+        let iface = new Agent1({
+            ask: (details) => this.#ask(details),
+            display: (device, passkey) => this.#display(device, passkey),
+            cancel: () => this.#cancel(),
+            release: () => this.#release(),
+        });
+        this.#bus.export(this.path, iface);
+        this.#interface = iface;
+        try {
+            let bluez = await this.#bus.getProxyObject("org.bluez", "/org/bluez");
+            let manager = bluez.getInterface("org.bluez.AgentManager1");
+            await manager.RegisterAgent(this.path, this.#options.capability);
+            this.#registered = true;
+            if (this.#options.default) await manager.RequestDefaultAgent(this.path);
+        } catch (e) {
+            if (this.#registered) await this.unregister().catch(() => {});
+            else this.#unexport();
+            throw new Error("Couldn't register the pairing agent. " + e);
+        }
+    }
+
+    /**
+     * Unregisters the agent from Bluez
+     * @returns {Promise<boolean>} False if it wasn't registered
+     */
+    async unregister() {
+        if (!this.#registered) return false;
+        this.#registered = false;
+        this.#cancel();
+        try {
+            let bluez = await this.#bus.getProxyObject("org.bluez", "/org/bluez");
+            // Bluez may have released us already, so don't worry if it doesn't know about us
+            await bluez.getInterface("org.bluez.AgentManager1").UnregisterAgent(this.path).catch(() => {});
+        } finally {
+            this.#unexport();
+        }
+        return true;
+    }
+
+    /**
+     * Internal method to get an answer for a request from Bluez
+     * @param {{type: String, device: String, passkey?: Number, uuid?: String}} details
+     * @throws {DBusError} If the request is rejected or cancelled
+     * @returns {Promise<Boolean|Number|String>} The answer given
+     */
+    async #ask(details) {
+        let answer;
+        let pending = {};
+        let request = {
+            ...details,
+            address: this.#addressFromPath(details.device),
+        };
+        this.#pending.add(pending);
+        try {
+            answer = await new Promise((resolve, reject) => {
+                pending.reject = reject;
+                request.accept = (value) => resolve(value ?? true);
+                request.reject = () => resolve(false);
+                if (this.#options.onPairingRequest) {
+                    Promise.resolve(this.#options.onPairingRequest(request)).then(resolve, reject);
+                } else if (this.listenerCount("pairingRequest") > 0) {
+                    /**
+                     * @event ANCSAgent#pairingRequest Bluez has asked for a pairing to be approved. Call `accept()` or `reject()` on it.
+                     * @type {PairingRequest}
+                     */
+                    this.emit("pairingRequest", request);
+                } else {
+                    resolve(this.#options.autoAccept);
+                }
+            });
+        } catch (e) {
+            if (e.message == "Cancelled") throw new dbus.DBusError("org.bluez.Error.Canceled", "Pairing request cancelled");
+            throw new dbus.DBusError("org.bluez.Error.Rejected", "Pairing request failed: " + e.message);
+        } finally {
+            this.#pending.delete(pending);
+        }
+
+        // Passkeys and PIN codes need a value, everything else just needs a yes
+        let needsValue = details.type == "passkey" || details.type == "pincode";
+        if (answer === false || answer === undefined || answer === null || (needsValue && answer === true)) {
+            throw new dbus.DBusError("org.bluez.Error.Rejected", "Pairing request rejected");
+        }
+        if (this.#options.trust && details.type != "service") await this.#trust(details.device);
+        return answer;
+    }
+
+    /**
+     * Internal method to pass along a passkey or PIN code to show to the user
+     * @param {String} device The Bluez object path of the device
+     * @param {Number|String} passkey
+     */
+    #display(device, passkey) {
+        /**
+         * @event ANCSAgent#displayPasskey A passkey or PIN code should be shown to the user, so they can type it on the iPhone
+         * @type {{address: String, device: String, passkey: (Number|String)}}
+         */
+        this.emit("displayPasskey", { address: this.#addressFromPath(device), device, passkey });
+    }
+
+    /**
+     * Internal method for when Bluez gives up on the current request
+     */
+    #cancel() {
+        if (this.#pending.size == 0) return;
+        for (const pending of this.#pending) pending.reject(new Error("Cancelled"));
+        this.#pending.clear();
+        /**
+         * @event ANCSAgent#cancelled Bluez has given up on the current request
+         */
+        this.emit("cancelled");
+    }
+
+    /**
+     * Internal method for when Bluez stops using this agent
+     */
+    #release() {
+        this.#cancel();
+        this.#registered = false;
+        this.#unexport();
+        /**
+         * @event ANCSAgent#released Bluez has stopped using this agent
+         */
+        this.emit("released");
+    }
+
+    #unexport() {
+        if (this.#interface) this.#bus.unexport(this.path, this.#interface);
+        this.#interface = undefined;
+    }
+
+    /**
+     * Internal method to mark a device as trusted, so it can reconnect without asking again
+     * @param {String} device The Bluez object path of the device
+     * @returns {Promise<void>}
+     */
+    async #trust(device) {
+        try {
+            let deviceObj = await this.#bus.getProxyObject("org.bluez", device);
+            await deviceObj.getInterface("org.freedesktop.DBus.Properties").Set("org.bluez.Device1", "Trusted", new dbus.Variant("b", true));
+        } catch (e) {
+            // Not being trusted only means being asked again next time
+        }
+    }
+
+    /**
+     * Internal method to get a MAC address out of a Bluez device path, e.g. `/org/bluez/hci0/dev_01_23_45_67_89_AB`
+     * @param {String} path
+     * @returns {String}
+     */
+    #addressFromPath(path) {
+        let part = path.split("/").find((v) => v.startsWith("dev_"));
+        return part ? part.substring(4).replace(/_/g, ":") : "";
+    }
+}
+
+module.exports = { ANCSAgent };
@@ -0,0 +1,90 @@
+const fs = require("node:fs/promises");
+
+/**
+ * Something that went over one of the ANCS characteristics
+ * @typedef {Object} CaptureEntry
+ * @property {Date} time When it was sent or received
+ * @property {"in"|"out"} direction In from the device (Notification Source and Data Source values, and failed Control Point writes), or out to it (Control Point writes)
+ * @property {"NotificationSource"|"DataSource"|"ControlPoint"} characteristic Which characteristic it went over, as named in `CharacteristicUUID`
+ * @property {Buffer} [value] The value, exactly as it was sent or received
+ * @property {String} [error] Why the Control Point write before it failed (e.g. `"ATT error: 0xa2"`). These entries have no value.
+ */
+
+/**
+ * Somewhere to record captures. Write your own to keep them somewhere other than a file.
+ * @typedef {Object} Recorder
+ * @property {function(CaptureEntry): (Promise<void>|void)} record Keeps an entry
+ */
+
+/**
+ * Internal function to turn a line of a capture file back into an entry
+ * @param {Object} line
+ * @returns {CaptureEntry|undefined} Undefined if it isn't an entry
+ */
+function fromLine(line) {
+    if (!["in", "out"].includes(line?.direction) || !["NotificationSource", "DataSource", "ControlPoint"].includes(line.characteristic)) return undefined;
+    let entry = { time: new Date(line.time), direction: line.direction, characteristic: line.characteristic };
+    if (typeof line.value == "string") entry.value = Buffer.from(line.value, "hex");
+    if (typeof line.error == "string") entry.error = line.error;
+    return entry;
+}
+
+/**
+ * Records everything that goes over the ANCS characteristics to a file, with one JSON entry per line (NDJSON).
+ * Values are hex encoded, so captures can be read (and edited) by hand:
+ * ```json
+ * {"time":"2026-10-18T12:30:00.000Z","direction":"in","characteristic":"NotificationSource","value":"0018040100000001"}
+ * ```
+ * Give it (or just the file's path) to a client with the `recorder` option, and play it back later with `.replay()`.
+ */
+class ANCSRecorder {
+    /**
+     * The path of the file
+     * @type {String}
+     * @readonly
+     */
+    file;
+    #writing = Promise.resolve();
+
+    /**
+     * @param {String} file The path of the file. It's created when the first entry is recorded, and added to after that.
+     */
+    constructor(file) {
+        this.file = file;
+    }
+
+    /**
+     * Appends an entry to the file. Entries are written one at a time, in order.
+     * @param {CaptureEntry} entry
+     * @returns {Promise<void>}
+     */
+    record(entry) {
+        let line = JSON.stringify({ time: entry.time, direction: entry.direction, characteristic: entry.characteristic, value: entry.value?.toString("hex"), error: entry.error });
+        let result = this.#writing.then(() => fs.appendFile(this.file, line + "\n"));
+        this.#writing = result.catch(() => {});
+        return result;
+    }
+}
+
+/**
+ * Reads a capture file written by an ANCSRecorder. Lines that can't be read (e.g. half written when the process stopped) are skipped.
+ * @param {String} file
+ * @throws {Error} If the file can't be read
+ * @returns {Promise<CaptureEntry[]>} The entries, in the order they were recorded
+ */
+async function loadCapture(file) {
+    let entries = [];
+    for (const line of (await fs.readFile(file, "utf8")).split("\n")) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+            entry = fromLine(JSON.parse(line));
+        } catch (e) {
+            continue;
+        }
+        if (entry) entries.push(entry);
+    }
+    return entries;
+}
+
+module.exports = { ANCSRecorder, loadCapture };
@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+const os = require("node:os");
+const { parseArgs } = require("node:util");
+let dbus = require("dbus-next");
+const { ANCSClient, findANCSDevices } = require("./index.js");
+
+/**
+ * What the process exits with
+ * @readonly
+ * @enum {Number}
+ */
+const ExitCode = Object.freeze({
+    Success: 0,
+    Failure: 1,
+    Usage: 2,
+    NotFound: 3,
+});
+
+/**
+ * How long `dump` waits (in milliseconds) for iOS to stop sending the notifications it has, unless told otherwise
+ * @type {Number}
+ */
+const SETTLE_TIME = 2000;
+
+const USAGE = `Usage: ancs <command> [options]
+
+Commands:
+  devices                              List the devices that expose the ANCS
+  listen <mac>                         Print notifications as they're created, edited and removed, until stopped
+  dump <mac>                           Print the notifications on the device, then exit
+  action <mac> <id> positive|negative  Perform a notification's positive or negative action
+
+Options:
+  --json           Print JSON Lines instead of readable text
+  --settle <ms>    How long dump waits for notifications to stop arriving (default ${SETTLE_TIME})
+  --timeout <ms>   How long to wait for a notification's attributes (default 5000)
+  -h, --help       Show this help
+
+Exit codes: 0 success, 1 failure, 2 bad usage, 3 device not found or without the ANCS
+`;
+
+/**
+ * Internal class for errors that should end the process with a particular exit code
+ * @extends Error
+ */
+class CLIError extends Error {
+    /**
+     * @param {String} message
+     * @param {Number} exitCode See `ExitCode`
+     */
+    constructor(message, exitCode) {
+        super(message);
+        this.name = "CLIError";
+        this.exitCode = exitCode;
+    }
+}
+
+/**
+ * Internal function to turn a notification into readable text, on one line
+ * @param {import("./index.js").ANCSNotification} notification
+ * @returns {String}
+ */
+function formatNotification(notification) {
+    return `${notification.id} ${notification.appID ?? "-"} ${notification.toReadableString(" | ")}`;
+}
+
+/**
+ * Internal function to turn a notification event into a line of output
+ * @param {"created"|"edited"|"removed"} type
+ * @param {import("./index.js").ANCSNotification|String} notification The notification, or its ID if it was removed
+ * @param {Boolean} json
+ * @returns {String}
+ */
+function formatEvent(type, notification, json) {
+    let id = typeof notification == "string" ? notification : notification.id;
+    if (json) {
+        let line = { type, time: new Date(), id };
+        if (typeof notification != "string") line.notification = notification;
+        return JSON.stringify(line);
+    }
+    return `${type} ${typeof notification == "string" ? id : formatNotification(notification)}`;
+}
+
+/**
+ * Internal function to check a command was given a valid MAC address
+ * @param {String} [MACAddress]
+ * @throws {CLIError} If it wasn't
+ * @returns {String}
+ */
+function requireMAC(MACAddress) {
+    if (!MACAddress) throw new CLIError("No device MAC address given", ExitCode.Usage);
+    if (!/^([0-9A-F]{2}:){5}[0-9A-F]{2}$/i.test(MACAddress)) throw new CLIError(`"${MACAddress}" is not a valid MAC address. It should look like 01:23:45:67:89:AB`, ExitCode.Usage);
+    return MACAddress.toUpperCase();
+}
+
+/**
+ * Internal function to read a number of milliseconds from an option
+ * @param {String} [value]
+ * @param {String} name The option's name, for the error
+ * @throws {CLIError} If it isn't a number
+ * @returns {Number|undefined}
+ */
+function parseMilliseconds(value, name) {
+    if (value === undefined) return undefined;
+    if (!/^\d+$/.test(value)) throw new CLIError(`--${name} must be a number of milliseconds`, ExitCode.Usage);
+    return Number(value);
+}
+
+/**
+ * Internal function to start listening to a device, stopping again on SIGINT or SIGTERM
+ * @param {ANCSClient} client
+ * @param {function(): void} onStop Called once listening has stopped because of a signal
+ * @throws {CLIError} If the device doesn't have the ANCS
+ * @returns {Promise<function(): void>} Stops handling the signals
+ */
+async function listenUntilSignalled(client, onStop) {
+    let stopping = false;
+    const onSignal = (signal) => {
+        // A second signal means stop right now
+        if (stopping) process.exit(128 + os.constants.signals[signal]);
+        stopping = true;
+        client.stopListening().catch(() => {}).finally(onStop);
+    };
+    process.on("SIGINT", onSignal);
+    process.on("SIGTERM", onSignal);
+    const unhandle = () => {
+        process.off("SIGINT", onSignal);
+        process.off("SIGTERM", onSignal);
+    };
+    try {
+        if (!await client.startListening()) throw new CLIError(`${client.MACAddress} isn't connected, or doesn't have the ANCS`, ExitCode.NotFound);
+    } catch (e) {
+        unhandle();
+        throw e;
+    }
+    return unhandle;
+}
+
+/**
+ * Lists the devices that expose the ANCS, by the same check as `ANCSClient.isSupported()`
+ * @param {dbus.MessageBus} bus
+ * @param {{json: Boolean}} options
+ * @param {NodeJS.WritableStream} stdout
+ * @returns {Promise<Number>} The exit code
+ */
+async function devices(bus, options, stdout) {
+    let bluez = await bus.getProxyObject("org.bluez", "/");
+    let found = findANCSDevices(await bluez.getInterface("org.freedesktop.DBus.ObjectManager").GetManagedObjects());
+    for (const device of found) {
+        stdout.write((options.json ? JSON.stringify(device) : `${device.address} ${device.name}`) + "\n");
+    }
+    return found.length > 0 ? ExitCode.Success : ExitCode.NotFound;
+}
+
+/**
+ * Prints notification events until SIGINT or SIGTERM
+ * @param {ANCSClient} client
+ * @param {{json: Boolean}} options
+ * @param {NodeJS.WritableStream} stdout
+ * @param {NodeJS.WritableStream} stderr
+ * @returns {Promise<Number>} The exit code
+ */
+async function listen(client, options, stdout, stderr) {
+    for (const type of ["created", "edited", "removed"]) {
+        client.on(type, (notification) => stdout.write(formatEvent(type, notification, options.json) + "\n"));
+    }
+    client.on("error", (e) => stderr.write(`Warning: ${e.message}\n`));
+    let stopped;
+    let done = new Promise((resolve) => stopped = resolve);
+    let unhandle = await listenUntilSignalled(client, stopped);
+    stderr.write(`Listening to ${client.MACAddress}. Press Ctrl+C to stop.\n`);
+    await done;
+    unhandle();
+    return ExitCode.Success;
+}
+
+/**
+ * Prints the notifications on the device, once iOS has finished sending them
+ * @param {ANCSClient} client
+ * @param {{json: Boolean, settle?: Number}} options
+ * @param {NodeJS.WritableStream} stdout
+ * @returns {Promise<Number>} The exit code
+ */
+async function dump(client, options, stdout) {
+    let interrupted = false;
+    let settled;
+    let timer;
+    let done = new Promise((resolve) => settled = resolve);
+    // Wait until nothing has arrived for a while
+    const rearm = () => {
+        clearTimeout(timer);
+        timer = setTimeout(settled, options.settle ?? SETTLE_TIME);
+    };
+    client.on("created", rearm);
+    client.on("edited", rearm);
+    let unhandle = await listenUntilSignalled(client, () => {
+        interrupted = true;
+        clearTimeout(timer);
+        settled();
+    });
+    rearm();
+    await done;
+    unhandle();
+    if (interrupted) return ExitCode.Failure;
+    await client.stopListening();
+    for (const notification of Object.values(client.notifications)) {
+        stdout.write((options.json ? JSON.stringify(notification) : formatNotification(notification)) + "\n");
+    }
+    return ExitCode.Success;
+}
+
+/**
+ * Internal function to check the arguments for `action`
+ * @param {String} [id] The notification ID
+ * @param {String} [action]
+ * @throws {CLIError} If they aren't valid
+ * @returns {{id: String, action: "positive"|"negative"}}
+ */
+function parseAction(id, action) {
+    if (!id || !/^[0-9a-f]{8}$/i.test(id)) throw new CLIError("The notification ID should be 8 hex digits, e.g. 0000002a", ExitCode.Usage);
+    if (action != "positive" && action != "negative") throw new CLIError('The action should be "positive" or "negative"', ExitCode.Usage);
+    return { id: id.toLowerCase(), action };
+}
+
+/**
+ * Performs a notification's action
+ * @param {ANCSClient} client
+ * @param {{id: String, action: "positive"|"negative"}} request
+ * @returns {Promise<Number>} The exit code
+ */
+async function action(client, request) {
+    let unhandle = await listenUntilSignalled(client, () => {});
+    try {
+        await client.performAction(request.id, request.action);
+    } finally {
+        unhandle();
+        await client.stopListening().catch(() => {});
+    }
+    return ExitCode.Success;
+}
+
+/**
+ * Runs the command line tool
+ * @param {String[]} args The arguments, without the node executable and script
+ * @param {Object} [io]
+ * @param {NodeJS.WritableStream} [io.stdout] Defaults to process.stdout
+ * @param {NodeJS.WritableStream} [io.stderr] Defaults to process.stderr
+ * @param {dbus.MessageBus} [io.bus] The bus Bluez is on. Defaults to the system bus (which is disconnected when done).
+ * @returns {Promise<Number>} The exit code (see `ExitCode`)
+ */
+async function main(args, io) {
+    let stdout = io?.stdout ?? process.stdout;
+    let stderr = io?.stderr ?? process.stderr;
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args,
+            allowPositionals: true,
+            options: {
+                json: { type: "boolean", default: false },
+                settle: { type: "string" },
+                timeout: { type: "string" },
+                help: { type: "boolean", short: "h", default: false },
+            },
+        });
+    } catch (e) {
+        stderr.write(`${e.message}\n\n${USAGE}`);
+        return ExitCode.Usage;
+    }
+    let [command, ...rest] = parsed.positionals;
+    if (parsed.values.help) {
+        stdout.write(USAGE);
+        return ExitCode.Success;
+    }
+    if (!["devices", "listen", "dump", "action"].includes(command)) {
+        stderr.write((command ? `Unknown command "${command}"\n\n` : "") + USAGE);
+        return ExitCode.Usage;
+    }
+
+    let bus = io?.bus;
+    let ownBus = !bus;
+    try {
+        let options = {
+            json: parsed.values.json,
+            settle: parseMilliseconds(parsed.values.settle, "settle"),
+            timeout: parseMilliseconds(parsed.values.timeout, "timeout"),
+        };
+        // Check everything we can before connecting to anything
+        let MACAddress = command == "devices" ? undefined : requireMAC(rest[0]);
+        let request = command == "action" ? parseAction(rest[1], rest[2]) : undefined;
+        bus ??= dbus.systemBus();
+        if (command == "devices") return await devices(bus, options, stdout);
+        let client = new ANCSClient(MACAddress, { bus, timeout: options.timeout });
+        if (command == "listen") return await listen(client, options, stdout, stderr);
+        if (command == "dump") return await dump(client, options, stdout);
+        return await action(client, request);
+    } catch (e) {
+        stderr.write(`Error: ${e.message}\n`);
+        return e instanceof CLIError ? e.exitCode : ExitCode.Failure;
+    } finally {
+        if (ownBus) bus?.disconnect();
+    }
+}
+
+module.exports = { main, ExitCode };
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((code) => {
+        process.exitCode = code;
+    });
+}
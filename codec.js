@@ -0,0 +1,431 @@
+/**
+ * Encodes and decodes the bytes that go over the ANCS characteristics. Nothing here talks to Bluetooth,
+ * so it can be used on its own (e.g. with a different Bluetooth stack, or to check captured packets):
+ * ```js
+ * let codec = require("ancsjs/codec");
+ * let event = codec.decodeNotificationSource(packet);
+ * let command = codec.encodeGetNotificationAttributes(event.id, [codec.NotificationAttributeID.Title]);
+ * ```
+ * Malformed input never throws anything other than a `ProtocolError`.
+ */
+
+/**
+ * What happened to a notification, as sent by the ANCS Notification Source
+ * @readonly
+ * @enum {Number}
+ */
+const EventID = Object.freeze({
+    Added: 0,
+    Modified: 1,
+    Removed: 2,
+});
+
+/**
+ * The category of a notification, as sent by the ANCS Notification Source
+ * @readonly
+ * @enum {Number}
+ */
+const CategoryID = Object.freeze({
+    Other: 0,
+    IncomingCall: 1,
+    MissedCall: 2,
+    Voicemail: 3,
+    Social: 4,
+    Schedule: 5,
+    Email: 6,
+    News: 7,
+    HealthAndFitness: 8,
+    BusinessAndFinance: 9,
+    Location: 10,
+    Entertainment: 11,
+});
+
+/**
+ * Bit flags sent alongside each notification by the ANCS, describing how it should be treated.
+ * @readonly
+ * @enum {Number}
+ */
+const EventFlags = Object.freeze({
+    Silent: 1 << 0,
+    Important: 1 << 1,
+    PreExisting: 1 << 2,
+    PositiveAction: 1 << 3,
+    NegativeAction: 1 << 4,
+});
+
+/**
+ * The commands that can be written to the Control Point
+ * @readonly
+ * @enum {Number}
+ */
+const CommandID = Object.freeze({
+    GetNotificationAttributes: 0,
+    GetAppAttributes: 1,
+    PerformNotificationAction: 2,
+});
+
+/**
+ * The actions that can be performed on a notification through the Control Point
+ * @readonly
+ * @enum {Number}
+ */
+const ActionID = Object.freeze({
+    Positive: 0,
+    Negative: 1,
+});
+
+/**
+ * The attributes that can be requested for a notification with GetNotificationAttributes
+ * @readonly
+ * @enum {Number}
+ */
+const NotificationAttributeID = Object.freeze({
+    AppIdentifier: 0,
+    Title: 1,
+    Subtitle: 2,
+    Message: 3,
+    MessageSize: 4,
+    Date: 5,
+    PositiveActionLabel: 6,
+    NegativeActionLabel: 7,
+});
+
+/**
+ * The attributes that can be requested for an app with GetAppAttributes
+ * @readonly
+ * @enum {Number}
+ */
+const AppAttributeID = Object.freeze({
+    DisplayName: 0,
+});
+
+/**
+ * What was wrong with a packet (or with what was given to be encoded)
+ * @readonly
+ * @enum {String}
+ */
+const ProtocolErrorCode = Object.freeze({
+    InvalidArgument: "INVALID_ARGUMENT",
+    InvalidLength: "INVALID_LENGTH",
+    Truncated: "TRUNCATED",
+    UnknownEvent: "UNKNOWN_EVENT",
+    UnknownCommand: "UNKNOWN_COMMAND",
+    UnexpectedAttribute: "UNEXPECTED_ATTRIBUTE",
+});
+
+/**
+ * An error for a packet that doesn't follow the ANCS specification, or something that can't be encoded into one
+ * @extends Error
+ */
+class ProtocolError extends Error {
+    /**
+     * What was wrong (see `ProtocolErrorCode`)
+     * @type {String}
+     * @readonly
+     */
+    code;
+    /**
+     * The packet that couldn't be decoded, if there was one
+     * @type {Buffer|undefined}
+     * @readonly
+     */
+    packet;
+
+    /**
+     * Creates a new protocol error
+     * @param {String} code What was wrong (see `ProtocolErrorCode`)
+     * @param {String} message
+     * @param {Buffer} [packet] The packet that couldn't be decoded
+     */
+    constructor(code, message, packet) {
+        super(message);
+        this.name = "ProtocolError";
+        this.code = code;
+        this.packet = packet;
+    }
+}
+
+/**
+ * The Notification Source details of a notification
+ * @typedef {Object} NotificationSourceEvent
+ * @property {Number} eventID What happened to the notification (see `EventID`)
+ * @property {Number} flags The EventFlags, as a bit field (see `EventFlags`)
+ * @property {Number} category The category of the notification (see `CategoryID`). Categories newer than this library are passed along as they are.
+ * @property {Number} categoryCount The number of active notifications in the category
+ * @property {String} id The notification ID, as a hex string
+ */
+
+/**
+ * A decoded Data Source response
+ * @typedef {Object} DataSourceResponse
+ * @property {Number} commandID The command this is a response to (see `CommandID`)
+ * @property {String} [id] The notification ID as a hex string, for GetNotificationAttributes
+ * @property {String} [appID] The app identifier, for GetAppAttributes
+ * @property {Object.<number, (String|Number|Date)>} attributes The attribute values, keyed by attribute ID
+ * @property {Number} length How many bytes the response took up
+ */
+
+/**
+ * Internal function to check something is a packet, so decoders can be given anything
+ * @param {*} data
+ * @returns {Buffer}
+ */
+function toPacket(data) {
+    if (Buffer.isBuffer(data)) return data;
+    if (data instanceof Uint8Array || Array.isArray(data)) return Buffer.from(data);
+    throw new ProtocolError(ProtocolErrorCode.InvalidArgument, "Packet must be a Buffer");
+}
+
+/**
+ * Internal function to check a notification ID
+ * @param {String} id
+ * @returns {Buffer} The ID's bytes
+ */
+function notificationIDBytes(id) {
+    if (typeof id != "string" || !/^[0-9a-f]{8}$/i.test(id)) {
+        throw new ProtocolError(ProtocolErrorCode.InvalidArgument, "Notification ID is invalid. It should be a hex string of 4 bytes");
+    }
+    return Buffer.from(id, "hex");
+}
+
+/**
+ * Whether an attribute must be given a maximum length when it's requested (Title, Subtitle and Message)
+ * @param {Number} id The attribute ID (see `NotificationAttributeID`)
+ * @returns {Boolean}
+ */
+function hasMaxLength(id) {
+    return id == NotificationAttributeID.Title || id == NotificationAttributeID.Subtitle || id == NotificationAttributeID.Message;
+}
+
+/**
+ * Tidies up a list of requested attributes into `{ id, maxLength }` objects.
+ * Title, Subtitle and Message must be given a maximum length, so these default to the largest possible (65535 bytes).
+ * @param {Array<Number|{id: Number, maxLength?: Number}>} attributes
+ * @throws {ProtocolError} If there are no attributes, or one is not known
+ * @returns {{id: Number, maxLength?: Number}[]}
+ */
+function normaliseAttributes(attributes) {
+    if (!Array.isArray(attributes) || attributes.length == 0) throw new ProtocolError(ProtocolErrorCode.InvalidArgument, "No attributes to fetch");
+    return attributes.map((attribute) => {
+        let { id, maxLength } = typeof attribute == "object" && attribute !== null ? attribute : { id: attribute };
+        if (!Object.values(NotificationAttributeID).includes(id)) throw new ProtocolError(ProtocolErrorCode.InvalidArgument, "Unknown notification attribute " + id);
+        if (hasMaxLength(id)) {
+            maxLength = Math.floor(Number(maxLength ?? 0xFFFF));
+            if (Number.isNaN(maxLength)) throw new ProtocolError(ProtocolErrorCode.InvalidArgument, "Maximum length of attribute " + id + " is not a number");
+            return { id, maxLength: Math.min(Math.max(maxLength, 1), 0xFFFF) };
+        }
+        return { id };
+    });
+}
+
+/**
+ * Encodes a GetNotificationAttributes command
+ * @param {String} id The notification ID, as a hex string
+ * @param {Array<Number|{id: Number, maxLength?: Number}>} attributes The attributes to request (see `NotificationAttributeID`)
+ * @throws {ProtocolError} If the ID or attributes are invalid
+ * @returns {Buffer}
+ */
+function encodeGetNotificationAttributes(id, attributes) {
+    // 00 (CommandID) (NotificationUID) then each AttributeID, followed by a 2 byte max length if it needs one
+    let parts = [Buffer.from([CommandID.GetNotificationAttributes]), notificationIDBytes(id)];
+    for (const attribute of normaliseAttributes(attributes)) {
+        let part = Buffer.alloc(attribute.maxLength === undefined ? 1 : 3);
+        part[0] = attribute.id;
+        if (attribute.maxLength !== undefined) part.writeUInt16LE(attribute.maxLength, 1);
+        parts.push(part);
+    }
+    return Buffer.concat(parts);
+}
+
+/**
+ * Encodes a GetAppAttributes command
+ * @param {String} appID The app identifier, e.g. `com.apple.MobileSMS`
+ * @param {Number[]} [attributeIDs] The attributes to request (see `AppAttributeID`). Defaults to the display name.
+ * @throws {ProtocolError} If the app identifier or attributes are invalid
+ * @returns {Buffer}
+ */
+function encodeGetAppAttributes(appID, attributeIDs) {
+    attributeIDs ??= [AppAttributeID.DisplayName];
+    if (typeof appID != "string" || appID.length == 0 || appID.includes("\0")) {
+        throw new ProtocolError(ProtocolErrorCode.InvalidArgument, "App identifier must be a non-empty string without null characters");
+    }
+    if (!Array.isArray(attributeIDs) || attributeIDs.length == 0 || !attributeIDs.every((id) => Object.values(AppAttributeID).includes(id))) {
+        throw new ProtocolError(ProtocolErrorCode.InvalidArgument, "Unknown app attribute in " + attributeIDs);
+    }
+    // 01 (CommandID) (AppIdentifier, null-terminated) then each AttributeID
+    return Buffer.concat([Buffer.from([CommandID.GetAppAttributes]), Buffer.from(appID), Buffer.from([0x00]), Buffer.from(attributeIDs)]);
+}
+
+/**
+ * Encodes a PerformNotificationAction command
+ * @param {String} id The notification ID, as a hex string
+ * @param {Number} actionID The action to perform (see `ActionID`)
+ * @throws {ProtocolError} If the ID or action is invalid
+ * @returns {Buffer}
+ */
+function encodePerformNotificationAction(id, actionID) {
+    if (actionID !== ActionID.Positive && actionID !== ActionID.Negative) throw new ProtocolError(ProtocolErrorCode.InvalidArgument, "Unknown action " + actionID);
+    // 02 (CommandID) (NotificationUID) (ActionID)
+    return Buffer.concat([Buffer.from([CommandID.PerformNotificationAction]), notificationIDBytes(id), Buffer.from([actionID])]);
+}
+
+/**
+ * Decodes a Notification Source packet
+ * @param {Buffer} data
+ * @throws {ProtocolError} If the packet isn't 8 bytes or has an unknown EventID
+ * @returns {NotificationSourceEvent}
+ */
+function decodeNotificationSource(data) {
+    data = toPacket(data);
+    if (data.length != 8) throw new ProtocolError(ProtocolErrorCode.InvalidLength, `Unexpected notification message length (${data.length} bytes, should be 8)`, data);
+    // (EventID) (EventFlags) (CategoryID) (CategoryCount) (NotificationUID)
+    if (!Object.values(EventID).includes(data[0])) throw new ProtocolError(ProtocolErrorCode.UnknownEvent, "Unknown EventID " + data[0], data);
+    return {
+        eventID: data[0],
+        flags: data[1],
+        category: data[2],
+        categoryCount: data[3],
+        id: data.subarray(4, 8).toString("hex"),
+    };
+}
+
+/**
+ * Works out how long a Data Source response is, to tell if all of it has arrived yet
+ * @param {Buffer} data What's arrived so far
+ * @param {Number} offset Where the first attribute starts (after the CommandID and NotificationUID or AppIdentifier)
+ * @param {Number[]} attributeIDs The IDs of the attributes requested, in the order they were requested
+ * @throws {ProtocolError} If an attribute other than the one requested turns up
+ * @returns {Number} The length of the full response, or -1 if more is still to come
+ */
+function responseLength(data, offset, attributeIDs) {
+    data = toPacket(data);
+    // Each attribute is (AttributeID) (Length, 2 bytes) (Data)
+    for (const attributeID of attributeIDs) {
+        if (data.length < offset + 3) return -1;
+        if (data[offset] != attributeID) {
+            throw new ProtocolError(ProtocolErrorCode.UnexpectedAttribute, `Unexpected attribute in Data Source response (got ${data[offset]}, expected ${attributeID})`, data);
+        }
+        offset += 3 + data.readUInt16LE(offset + 1);
+        if (data.length < offset) return -1;
+    }
+    return offset;
+}
+
+/**
+ * Internal function to read the attributes out of a complete Data Source response, checking every length as it goes
+ * @param {Buffer} data The response
+ * @param {Number} offset Where the first attribute starts
+ * @param {Number[]} [attributeIDs] The IDs of the attributes requested, in order. If given, exactly these must be present.
+ * @returns {{attributes: Object.<number, (String|Number|Date)>, length: Number}}
+ */
+function readAttributes(data, offset, attributeIDs) {
+    let attributes = {};
+    let index = 0;
+    while (attributeIDs ? index < attributeIDs.length : offset < data.length) {
+        if (data.length < offset + 3) throw new ProtocolError(ProtocolErrorCode.Truncated, "Data Source response ends partway through an attribute", data);
+        let attributeID = data[offset];
+        if (attributeIDs && attributeID != attributeIDs[index]) {
+            throw new ProtocolError(ProtocolErrorCode.UnexpectedAttribute, `Unexpected attribute in Data Source response (got ${attributeID}, expected ${attributeIDs[index]})`, data);
+        }
+        let end = offset + 3 + data.readUInt16LE(offset + 1);
+        if (data.length < end) throw new ProtocolError(ProtocolErrorCode.Truncated, `Data Source response ends partway through attribute ${attributeID}`, data);
+        let value = data.subarray(offset + 3, end);
+        // If null-terminated remove the trailing 0
+        if (value.length > 0 && value[value.length - 1] === 0) value = value.subarray(0, value.length - 1);
+        attributes[attributeID] = value.toString();
+        offset = end;
+        index++;
+    }
+    if (attributeIDs && offset != data.length) throw new ProtocolError(ProtocolErrorCode.InvalidLength, "Data Source response has data after the last attribute", data);
+    return { attributes, length: offset };
+}
+
+/**
+ * Internal function to turn a notification attribute's string value into something more useful, where possible
+ * @param {Number} attributeID
+ * @param {String} value
+ * @returns {String|Number|Date}
+ */
+function decodeAttribute(attributeID, value) {
+    if (attributeID == NotificationAttributeID.MessageSize) {
+        if (!/^\d+$/.test(value)) return value; // As a backup
+        return Number(value);
+    } else if (attributeID == NotificationAttributeID.Date) {
+        // Pull out date from weirdly formatted string
+        let dateStringMatched = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})$/);
+        if (!dateStringMatched) return value; // As a backup
+        const [, year, month, day, hour, minute, second] = dateStringMatched;
+        let date = new Date(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+        // Date rolls over out of range parts (e.g. month 13) rather than refusing them, so check nothing moved
+        if (date.getMonth() != month - 1 || date.getDate() != day || date.getHours() != hour || date.getMinutes() != minute || date.getSeconds() != second) return value;
+        return date;
+    }
+    return value;
+}
+
+/**
+ * Decodes a complete response to GetNotificationAttributes
+ * @param {Buffer} data
+ * @param {Number[]} [attributeIDs] The IDs of the attributes requested, in order. If given, the response must contain exactly these.
+ * @throws {ProtocolError} If the response is truncated, has the wrong CommandID, or (with `attributeIDs`) has the wrong attributes
+ * @returns {DataSourceResponse}
+ */
+function decodeNotificationAttributes(data, attributeIDs) {
+    data = toPacket(data);
+    if (data.length < 5) throw new ProtocolError(ProtocolErrorCode.Truncated, "Data Source response is too short to contain a notification ID", data);
+    if (data[0] != CommandID.GetNotificationAttributes) throw new ProtocolError(ProtocolErrorCode.UnknownCommand, "Not a GetNotificationAttributes response (CommandID " + data[0] + ")", data);
+    let { attributes, length } = readAttributes(data, 5, attributeIDs);
+    for (const id of Object.keys(attributes)) attributes[id] = decodeAttribute(Number(id), attributes[id]);
+    return { commandID: CommandID.GetNotificationAttributes, id: data.subarray(1, 5).toString("hex"), attributes, length };
+}
+
+/**
+ * Decodes a complete response to GetAppAttributes
+ * @param {Buffer} data
+ * @param {Number[]} [attributeIDs] The IDs of the attributes requested, in order. If given, the response must contain exactly these.
+ * @throws {ProtocolError} If the response is truncated, has the wrong CommandID, or (with `attributeIDs`) has the wrong attributes
+ * @returns {DataSourceResponse}
+ */
+function decodeAppAttributes(data, attributeIDs) {
+    data = toPacket(data);
+    if (data.length < 1 || data[0] != CommandID.GetAppAttributes) throw new ProtocolError(ProtocolErrorCode.UnknownCommand, "Not a GetAppAttributes response", data);
+    let end = data.indexOf(0, 1);
+    if (end == -1) throw new ProtocolError(ProtocolErrorCode.Truncated, "Data Source response ends partway through the app identifier", data);
+    let { attributes, length } = readAttributes(data, end + 1, attributeIDs);
+    return { commandID: CommandID.GetAppAttributes, appID: data.subarray(1, end).toString(), attributes, length };
+}
+
+/**
+ * Decodes a complete Data Source response, whichever command it's for
+ * @param {Buffer} data
+ * @param {Number[]} [attributeIDs] The IDs of the attributes requested, in order. If given, the response must contain exactly these.
+ * @throws {ProtocolError} If the response is malformed, or isn't for a command that has a response
+ * @returns {DataSourceResponse}
+ */
+function decodeDataSource(data, attributeIDs) {
+    data = toPacket(data);
+    if (data[0] == CommandID.GetNotificationAttributes) return decodeNotificationAttributes(data, attributeIDs);
+    if (data[0] == CommandID.GetAppAttributes) return decodeAppAttributes(data, attributeIDs);
+    throw new ProtocolError(ProtocolErrorCode.UnknownCommand, "Unknown CommandID " + data[0] + " in Data Source response", data);
+}
+
+module.exports = {
+    EventID,
+    CategoryID,
+    EventFlags,
+    CommandID,
+    ActionID,
+    NotificationAttributeID,
+    AppAttributeID,
+    ProtocolError,
+    ProtocolErrorCode,
+    normaliseAttributes,
+    encodeGetNotificationAttributes,
+    encodeGetAppAttributes,
+    encodePerformNotificationAction,
+    decodeNotificationSource,
+    decodeNotificationAttributes,
+    decodeAppAttributes,
+    decodeDataSource,
+    responseLength,
+};
@@ -0,0 +1,278 @@
+const EventEmitter = require("node:events");
+let dbus = require("dbus-next");
+const { EventFlags, CategoryID } = require("./codec.js");
+const { ControlPointError } = require("./index.js");
+
+/**
+ * The well-known name and object path of the desktop notification server
+ * @type {{name: String, path: String, interface: String}}
+ */
+const NOTIFICATIONS = {
+    name: "org.freedesktop.Notifications",
+    path: "/org/freedesktop/Notifications",
+    interface: "org.freedesktop.Notifications",
+};
+
+/**
+ * Options for an ANCSDesktopBridge
+ * @typedef {Object} ANCSDesktopBridgeOptions
+ * @property {dbus.MessageBus} [bus] A dbus-next bus to use instead of connecting to the session bus
+ * @property {String} [appName] The app name to show when the app's display name isn't known. Defaults to "iPhone".
+ * @property {Boolean} [appNames] Fetch each app's display name (with `ANCSClient.getAppName()`) to show as the app name. Apps whose names can't be fetched aren't asked about again until the bridge is restarted. Defaults to True.
+ * @property {String} [icon] The icon to show, as a freedesktop icon name or a file:// URI. Defaults to "phone".
+ * @property {Number} [expireTimeout] How long popups stay up, in milliseconds. -1 leaves it to the server, 0 never expires. Defaults to -1.
+ * @property {Boolean} [preExisting] Show the notifications that were already on the iPhone when listening started too. Defaults to False.
+ * @property {{positive?: String, negative?: String}} [labels] Button labels for when the PositiveActionLabel/NegativeActionLabel attributes weren't fetched.
+ * Defaults to "Accept" and "Dismiss".
+ */
+
+/**
+ * Internal function to escape text for servers that read the body as markup
+ * @param {String} text
+ * @returns {String}
+ */
+function escapeMarkup(text) {
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * Desktop Notification Bridge Class
+ * @extends EventEmitter
+ * @fires ANCSDesktopBridge#shown When a notification's popup has been shown (or replaced)
+ * @fires ANCSDesktopBridge#action When a button on a popup is clicked, and the action has been performed on the iPhone
+ * @fires ANCSDesktopBridge#error When a popup couldn't be shown or closed, or an action failed. Only emitted if there are listeners.
+ *
+ * Shows an ANCSClient's notifications as popups on the Linux desktop, through org.freedesktop.Notifications:
+ * ```js
+ * let {ANCSDesktopBridge} = require("ancsjs/desktop");
+ * let bridge = new ANCSDesktopBridge(device);
+ * await bridge.start();
+ * ```
+ * Edited notifications replace their popup, removed ones close it, and the notification's positive and negative actions become buttons.
+ */
+class ANCSDesktopBridge extends EventEmitter {
+    #client;
+    #options;
+    #bus;
+    #ownBus = false;
+    #server;
+    #capabilities = [];
+    #listeners;
+    // ANCS notification ID to popup ID, and back again
+    #popups = new Map();
+    #notifications = new Map();
+    // Apps iOS wouldn't name, so later notifications from them don't wait on it again
+    #unnamedApps = new Set();
+    // Popups are shown and closed one at a time, so an edit can't overtake the popup it replaces
+    #queue = Promise.resolve();
+
+    /**
+     * Create a desktop bridge. Nothing is shown until `.start()` is called.
+     * @param {import("./index.js").ANCSClient} client The client whose notifications should be shown
+     * @param {ANCSDesktopBridgeOptions} [options]
+     */
+    constructor(client, options) {
+        super(); // Set up event emitter
+        if (!client) throw new Error("No ANCSClient provided");
+        this.#client = client;
+        this.#bus = options?.bus;
+        this.#options = {
+            appName: options?.appName ?? "iPhone",
+            appNames: options?.appNames ?? true,
+            icon: options?.icon ?? "phone",
+            expireTimeout: options?.expireTimeout ?? -1,
+            preExisting: options?.preExisting ?? false,
+            labels: {
+                positive: options?.labels?.positive ?? "Accept",
+                negative: options?.labels?.negative ?? "Dismiss",
+            },
+        };
+    }
+
+    /**
+     * Whether the bridge is showing notifications
+     * @type {Boolean}
+     * @readonly
+     */
+    get started() {
+        return !!this.#listeners;
+    }
+
+    /**
+     * Connects to the notification server and starts showing the client's notifications
+     * @throws {Error} If there's no notification server on the bus
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.#listeners) return;
+        if (!this.#bus) {
+            this.#bus = dbus.sessionBus();
+            this.#ownBus = true;
+        }
+        try {
+            let obj = await this.#bus.getProxyObject(NOTIFICATIONS.name, NOTIFICATIONS.path);
+            this.#server = obj.getInterface(NOTIFICATIONS.interface);
+            this.#capabilities = await this.#server.GetCapabilities();
+        } catch (e) {
+            this.#disconnect();
+            throw new Error("Couldn't connect to the desktop notification server. " + e);
+        }
+        this.#listeners = {
+            created: (notification) => {
+                if (notification.preExisting && !this.#options.preExisting) return;
+                this.#enqueue(() => this.#show(notification));
+            },
+            edited: (notification) => this.#enqueue(() => this.#show(notification)),
+            removed: (id) => this.#enqueue(() => this.#close(id)),
+            ActionInvoked: (popupID, action) => this.#actionInvoked(popupID, action),
+            NotificationClosed: (popupID) => this.#forget(this.#notifications.get(popupID)),
+        };
+        for (const type of ["created", "edited", "removed"]) this.#client.on(type, this.#listeners[type]);
+        this.#server.on("ActionInvoked", this.#listeners.ActionInvoked);
+        this.#server.on("NotificationClosed", this.#listeners.NotificationClosed);
+    }
+
+    /**
+     * Stops showing notifications, and closes any popups that are still up
+     * @returns {Promise<boolean>} False if the bridge wasn't started
+     */
+    async stop() {
+        let listeners = this.#listeners;
+        if (!listeners) return false;
+        this.#listeners = undefined;
+        for (const type of ["created", "edited", "removed"]) this.#client.off(type, listeners[type]);
+        this.#server.off("ActionInvoked", listeners.ActionInvoked);
+        this.#server.off("NotificationClosed", listeners.NotificationClosed);
+        // Let anything already on its way finish first, so nothing pops up afterwards
+        this.#enqueue(() => Promise.all([...this.#popups.keys()].map((id) => this.#close(id).catch((e) => this.#emitError(e)))));
+        await this.#queue;
+        this.#disconnect();
+        this.#unnamedApps.clear();
+        return true;
+    }
+
+    /**
+     * Internal method to disconnect from the bus, if we connected to it
+     */
+    #disconnect() {
+        if (!this.#ownBus) return;
+        this.#bus.disconnect();
+        this.#bus = undefined;
+        this.#ownBus = false;
+    }
+
+    /**
+     * Internal method to run a task after the ones before it, passing any error along
+     * @param {function(): Promise<void>} task
+     */
+    #enqueue(task) {
+        this.#queue = this.#queue.then(task).catch((e) => this.#emitError(e));
+    }
+
+    /**
+     * Internal method to pass along an error, if anyone is listening for them
+     * @param {Error} error
+     */
+    #emitError(error) {
+        /**
+         * @event ANCSDesktopBridge#error Something went wrong showing or closing a popup, or performing an action. The bridge carries on regardless.
+         * @type {Error}
+         */
+        if (this.listenerCount("error") > 0) this.emit("error", error);
+    }
+
+    /**
+     * Internal method to show a notification, replacing its popup if it already has one
+     * @param {import("./index.js").ANCSNotification} notification
+     * @returns {Promise<void>}
+     */
+    async #show(notification) {
+        let appName = await this.#appName(notification.appID);
+        let replaces = this.#popups.get(notification.id) ?? 0;
+        let actions = [];
+        if (this.#capabilities.includes("actions")) {
+            if (notification.flags & EventFlags.PositiveAction) actions.push("positive", notification.positiveActionLabel || this.#options.labels.positive);
+            if (notification.flags & EventFlags.NegativeAction) actions.push("negative", notification.negativeActionLabel || this.#options.labels.negative);
+        }
+        let important = notification.flags & EventFlags.Important || notification.category == CategoryID.IncomingCall;
+        let hints = { urgency: new dbus.Variant("y", important ? 2 : 1) };
+        if (notification.flags & EventFlags.Silent) hints["suppress-sound"] = new dbus.Variant("b", true);
+        let body = [notification.subtitle, notification.body].filter(Boolean).join("\n");
+        if (this.#capabilities.includes("body-markup")) body = escapeMarkup(body);
+
+        let popupID = await this.#server.Notify(appName, replaces, this.#options.icon, notification.title || appName, body, actions, hints, this.#options.expireTimeout);
+        // The server may not have replaced it after all (e.g. it had already been closed)
+        if (replaces && replaces != popupID) this.#notifications.delete(replaces);
+        this.#popups.set(notification.id, popupID);
+        this.#notifications.set(popupID, notification.id);
+        /**
+         * @event ANCSDesktopBridge#shown A notification's popup has been shown, or replaced
+         * @type {{id: String, popupID: Number}}
+         */
+        this.emit("shown", { id: notification.id, popupID });
+    }
+
+    /**
+     * Internal method to close a notification's popup, if it has one
+     * @param {String} id The ANCS notification ID
+     * @returns {Promise<void>}
+     */
+    async #close(id) {
+        let popupID = this.#popups.get(id);
+        if (popupID === undefined) return;
+        this.#forget(id);
+        await this.#server.CloseNotification(popupID);
+    }
+
+    /**
+     * Internal method to stop keeping track of a notification's popup
+     * @param {String} [id] The ANCS notification ID
+     */
+    #forget(id) {
+        if (id === undefined) return;
+        this.#notifications.delete(this.#popups.get(id));
+        this.#popups.delete(id);
+    }
+
+    /**
+     * Internal method to get the app name to show for a notification
+     * @param {String} [appID]
+     * @returns {Promise<String>}
+     */
+    async #appName(appID) {
+        if (!appID) return this.#options.appName;
+        if (this.#client.appNames[appID]) return this.#client.appNames[appID];
+        if (!this.#options.appNames || this.#unnamedApps.has(appID)) return this.#options.appName;
+        let name;
+        try {
+            name = await this.#client.getAppName(appID);
+        } catch (e) {
+            // Anything but iOS refusing (like being mid-reconnect, or a timeout) might work for the next popup
+            if (!(e instanceof ControlPointError)) return this.#options.appName;
+            name = "";
+        }
+        // Some iOS versions won't tell us, which isn't worth making a fuss over, or asking about again until we're restarted
+        if (!name) this.#unnamedApps.add(appID);
+        return name || this.#options.appName;
+    }
+
+    /**
+     * Internal method to perform the action for a button clicked on one of our popups
+     * @param {Number} popupID
+     * @param {String} action The action key, "positive" or "negative" for our buttons
+     */
+    #actionInvoked(popupID, action) {
+        let id = this.#notifications.get(popupID);
+        // Every popup's actions are broadcast, not just ours
+        if (id === undefined || (action != "positive" && action != "negative")) return;
+        this.#client.performAction(id, action).then(() => {
+            /**
+             * @event ANCSDesktopBridge#action A popup's button was clicked, and the action has been performed on the iPhone
+             * @type {{id: String, action: "positive"|"negative"}}
+             */
+            this.emit("action", { id, action });
+        }, (e) => this.#emitError(e));
+    }
+}
+
+module.exports = { ANCSDesktopBridge };
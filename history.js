@@ -0,0 +1,375 @@
+const fs = require("node:fs/promises");
+const { NotificationAttributeID } = require("./codec.js");
+
+/**
+ * How many records can be added between automatic compactions (if there's anything to compact)
+ * @type {Number}
+ */
+const COMPACT_EVERY = 1000;
+
+/**
+ * How many records are kept by default, so the history doesn't grow forever
+ * @type {Number}
+ */
+const MAX_RECORDS = 10000;
+
+/**
+ * A record of something that happened to a notification. Created and edited records hold the notification as it was then;
+ * removed records hold it as it was last seen, so they can be found by the same queries.
+ * @typedef {Object} HistoryRecord
+ * @property {"created"|"edited"|"removed"} type What happened
+ * @property {Date} time When it happened
+ * @property {String} id The ID of the notification, as a hex string
+ * @property {Buffer} [raw] The raw Data Source response, as in `ANCSNotification.raw`, so it can be parsed again later
+ * @property {Object.<number, (String|Number|Date)>} [attributes] Every attribute received, keyed by attribute ID
+ * @property {Number} [flags] The EventFlags, as a bit field
+ * @property {Number} [category] The category (see `CategoryID`)
+ * @property {Number} [categoryCount] The number of active notifications in the category
+ * @property {String} [appID]
+ * @property {String} [title]
+ * @property {String} [subtitle]
+ * @property {String} [body]
+ * @property {Date} [date]
+ */
+
+/**
+ * A place to keep history records. Entries are plain objects that survive `JSON.stringify()`.
+ * Write your own to keep history somewhere other than a file (e.g. a database).
+ * @typedef {Object} HistoryStore
+ * @property {function(): Promise<Object[]>} load Gets every entry, oldest first
+ * @property {function(Object): Promise<void>} append Adds an entry to the end
+ * @property {function(Object[]): Promise<void>} replace Replaces every entry, after compaction
+ */
+
+/**
+ * Options for an ANCSHistory
+ * @typedef {Object} ANCSHistoryOptions
+ * @property {Number} [maxAge] How long to keep records for, in milliseconds. Defaults to forever.
+ * @property {Number} [maxRecords] The most records to keep. Defaults to 10000; use `Infinity` to keep everything.
+ * The latest record of every notification that hasn't been removed is always kept, whatever its age, so it can be restored.
+ */
+
+/**
+ * Keeps history in a file, with one JSON entry per line (NDJSON). New entries are appended, and the file is only rewritten when compacted.
+ */
+class FileHistoryStore {
+    /**
+     * The path of the file
+     * @type {String}
+     * @readonly
+     */
+    file;
+    #writing = Promise.resolve();
+
+    /**
+     * @param {String} file The path of the file. It's created when the first entry is added.
+     */
+    constructor(file) {
+        this.file = file;
+    }
+
+    /**
+     * Gets every entry in the file. Lines that can't be read (e.g. half written when the process stopped) are skipped.
+     * @throws {Error} If the file can't be read
+     * @returns {Promise<Object[]>}
+     */
+    async load() {
+        let text;
+        try {
+            text = await fs.readFile(this.file, "utf8");
+        } catch (e) {
+            if (e.code == "ENOENT") return [];
+            throw e;
+        }
+        let entries = [];
+        for (const line of text.split("\n")) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (e) {
+                // Skip it, it'll be gone after the next compaction
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Appends an entry to the file
+     * @param {Object} entry
+     * @returns {Promise<void>}
+     */
+    append(entry) {
+        return this.#write(() => fs.appendFile(this.file, JSON.stringify(entry) + "\n"));
+    }
+
+    /**
+     * Rewrites the file with only these entries. A new file is written and then moved into place, so nothing is lost if this is interrupted.
+     * @param {Object[]} entries
+     * @returns {Promise<void>}
+     */
+    replace(entries) {
+        return this.#write(async () => {
+            let temp = this.file + ".tmp";
+            await fs.writeFile(temp, entries.map((entry) => JSON.stringify(entry) + "\n").join(""));
+            await fs.rename(temp, this.file);
+        });
+    }
+
+    /**
+     * Internal method to make sure writes happen one at a time, in order
+     * @param {function(): Promise<void>} write
+     * @returns {Promise<void>}
+     */
+    #write(write) {
+        let result = this.#writing.then(write);
+        this.#writing = result.catch(() => {});
+        return result;
+    }
+}
+
+/**
+ * Keeps history in memory only. Useful for tests, or to query recent history without touching the disk.
+ */
+class MemoryHistoryStore {
+    /**
+     * The entries, oldest first
+     * @type {Object[]}
+     */
+    entries = [];
+
+    async load() {
+        return [...this.entries];
+    }
+
+    async append(entry) {
+        this.entries.push(entry);
+    }
+
+    async replace(entries) {
+        this.entries = [...entries];
+    }
+}
+
+/**
+ * Notification History Class
+ *
+ * Records when notifications are created, edited and removed, and keeps them after they're gone:
+ * ```js
+ * let device = new ANCSClient(macaddress, { history: "notifications.ndjson" });
+ * await device.startListening();
+ * let messages = await device.history.query({ appID: "com.apple.MobileSMS", since: Date.now() - 86400000 });
+ * ```
+ * Notifications that hadn't been removed when the process stopped are put back into the client's cache when it next starts listening.
+ */
+class ANCSHistory {
+    /**
+     * Where the history is kept
+     * @type {HistoryStore}
+     * @readonly
+     */
+    store;
+    #options;
+    #records;
+    #live = new Map();
+    #loading;
+    #sinceCompaction = 0;
+
+    /**
+     * Create a history
+     * @param {String|HistoryStore} store The path of an NDJSON file to keep history in, or a store to keep it in
+     * @param {ANCSHistoryOptions} [options]
+     * @throws {Error} If the store is invalid
+     */
+    constructor(store, options) {
+        if (typeof store == "string") store = new FileHistoryStore(store);
+        if (typeof store?.load != "function" || typeof store?.append != "function" || typeof store?.replace != "function") {
+            throw new Error("History store must be a file path, or have load(), append() and replace() methods");
+        }
+        this.store = store;
+        this.#options = {
+            maxAge: options?.maxAge,
+            maxRecords: options?.maxRecords ?? MAX_RECORDS,
+        };
+    }
+
+    /**
+     * Loads the history from the store, compacting it if there are limits to apply. This happens automatically when it's first needed.
+     * @throws {Error} If the store couldn't be read
+     * @returns {Promise<void>}
+     */
+    load() {
+        this.#loading ??= (async () => {
+            let records = [];
+            let latest = new Map();
+            for (const entry of await this.store.load()) {
+                let record = this.#fromEntry(entry);
+                if (!record) continue;
+                records.push(record);
+                latest.set(record.id, record);
+            }
+            this.#records = records;
+            for (const [id, record] of latest) {
+                if (record.type != "removed") this.#live.set(id, record);
+            }
+            if (this.#hasLimits()) await this.#compact();
+        })();
+        // Let it be tried again if it failed
+        this.#loading.catch(() => this.#loading = undefined);
+        return this.#loading;
+    }
+
+    /**
+     * Records something that happened to a notification
+     * @param {"created"|"edited"|"removed"} type What happened
+     * @param {import("./index.js").ANCSNotification|String} notification The notification, or just its ID for `removed`
+     * @param {Date} [time] When it happened. Defaults to now.
+     * @throws {Error} If the type is unknown, or the store couldn't be written to
+     * @returns {Promise<HistoryRecord>} The new record
+     */
+    async record(type, notification, time) {
+        if (type != "created" && type != "edited" && type != "removed") throw new Error("Unknown history record type " + type);
+        let id = typeof notification == "string" ? notification : notification?.id;
+        if (!id) throw new Error("No notification ID provided");
+        await this.load();
+        // Removed records keep the notification as it was last seen, so they can still be found by app or text
+        let entry = this.#toEntry({ type, time: time ?? new Date(), id }, type == "removed" ? this.#live.get(id) : notification);
+        // Round trip it, so what's kept in memory matches what'll be loaded next time
+        let record = this.#fromEntry(JSON.parse(JSON.stringify(entry)));
+        // Keep track straight away, so records made while this one is being written see it
+        this.#records.push(record);
+        if (type == "removed") this.#live.delete(id);
+        else this.#live.set(id, record);
+        await this.store.append(entry);
+        if (this.#hasLimits() && ++this.#sinceCompaction >= COMPACT_EVERY) await this.#compact();
+        return record;
+    }
+
+    /**
+     * Finds records, oldest first
+     * @param {Object} [filter] Only find records matching all of these
+     * @param {String} [filter.appID] From this app
+     * @param {String} [filter.id] For this notification ID
+     * @param {"created"|"edited"|"removed"} [filter.type] Of this type
+     * @param {Date|Number|String} [filter.since] At or after this time
+     * @param {Date|Number|String} [filter.until] At or before this time
+     * @param {String} [filter.text] With this text in the title, subtitle or body (ignoring case)
+     * @param {Number} [filter.limit] The most records to return. The newest are kept.
+     * @throws {Error} If the store couldn't be read
+     * @returns {Promise<HistoryRecord[]>}
+     */
+    async query(filter) {
+        await this.load();
+        let since = filter?.since !== undefined ? new Date(filter.since).getTime() : -Infinity;
+        let until = filter?.until !== undefined ? new Date(filter.until).getTime() : Infinity;
+        let text = filter?.text?.toLowerCase();
+        let results = this.#records.filter((record) => {
+            if (filter?.appID !== undefined && record.appID != filter.appID) return false;
+            if (filter?.id !== undefined && record.id != filter.id) return false;
+            if (filter?.type !== undefined && record.type != filter.type) return false;
+            let time = record.time.getTime();
+            if (time < since || time > until) return false;
+            if (text && ![record.title, record.subtitle, record.body].some((value) => typeof value == "string" && value.toLowerCase().includes(text))) return false;
+            return true;
+        });
+        if (filter?.limit !== undefined) results = results.slice(Math.max(results.length - filter.limit, 0));
+        return results;
+    }
+
+    /**
+     * Gets the latest record of every notification that hasn't been removed
+     * @throws {Error} If the store couldn't be read
+     * @returns {Promise<HistoryRecord[]>}
+     */
+    async live() {
+        await this.load();
+        return [...this.#live.values()];
+    }
+
+    /**
+     * Drops records older than `maxAge` and beyond `maxRecords`, and rewrites the store with what's left.
+     * This also happens on load and every so often while recording, but then the store is only rewritten if anything was dropped.
+     * @throws {Error} If the store couldn't be written to
+     * @returns {Promise<void>}
+     */
+    async compact() {
+        await this.load();
+        await this.#compact(true);
+    }
+
+    /**
+     * Internal method to drop records beyond the limits
+     * @param {Boolean} [rewrite] Rewrite the store even if nothing was dropped
+     * @returns {Promise<void>}
+     */
+    async #compact(rewrite) {
+        let keep = new Set(this.#live.values());
+        let oldest = this.#options.maxAge !== undefined ? Date.now() - this.#options.maxAge : -Infinity;
+        let records = this.#records.filter((record) => keep.has(record) || record.time.getTime() >= oldest);
+        if (records.length > this.#options.maxRecords) {
+            // Drop the oldest, apart from the ones we have to keep
+            let excess = records.length - this.#options.maxRecords;
+            records = records.filter((record) => keep.has(record) || excess-- <= 0);
+        }
+        let dropped = records.length < this.#records.length;
+        this.#records = records;
+        this.#sinceCompaction = 0;
+        if (!dropped && !rewrite) return;
+        await this.store.replace(records.map((record) => this.#toEntry(record)));
+    }
+
+    #hasLimits() {
+        return this.#options.maxAge !== undefined || this.#options.maxRecords !== Infinity;
+    }
+
+    /**
+     * Internal method to turn a stored entry into a record
+     * @param {Object} entry
+     * @returns {HistoryRecord|undefined} Nothing if the entry isn't valid
+     */
+    #fromEntry(entry) {
+        if (typeof entry?.id != "string" || !["created", "edited", "removed"].includes(entry.type)) return;
+        let time = new Date(entry.time);
+        if (Number.isNaN(time.getTime())) return;
+        let attributes = typeof entry.attributes == "object" && entry.attributes !== null ? { ...entry.attributes } : {};
+        // Dates don't survive JSON, so bring them back
+        let date = attributes[NotificationAttributeID.Date];
+        if (typeof date == "string" && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/.test(date)) attributes[NotificationAttributeID.Date] = new Date(date);
+        return {
+            type: entry.type,
+            time,
+            id: entry.id,
+            raw: Buffer.from(typeof entry.raw == "string" ? entry.raw : "", "base64"),
+            attributes,
+            flags: entry.flags ?? 0,
+            category: entry.category ?? 0,
+            categoryCount: entry.categoryCount ?? 0,
+            appID: attributes[NotificationAttributeID.AppIdentifier],
+            title: attributes[NotificationAttributeID.Title],
+            subtitle: attributes[NotificationAttributeID.Subtitle],
+            body: attributes[NotificationAttributeID.Message],
+            date: attributes[NotificationAttributeID.Date],
+        };
+    }
+
+    /**
+     * Internal method to turn a record into an entry for the store
+     * @param {{type: String, time: Date, id: String}} record
+     * @param {HistoryRecord|import("./index.js").ANCSNotification} [notification] Where to take the notification's details from. Defaults to the record.
+     * @returns {Object}
+     */
+    #toEntry(record, notification) {
+        notification ??= record;
+        let entry = { type: record.type, time: record.time.toISOString(), id: record.id };
+        if (!notification?.raw) return entry;
+        return {
+            ...entry,
+            raw: notification.raw.toString("base64"),
+            flags: notification.flags,
+            category: notification.category,
+            categoryCount: notification.categoryCount,
+            attributes: notification.attributes,
+        };
+    }
+}
+
+module.exports = { ANCSHistory, FileHistoryStore, MemoryHistoryStore };
@@ -1,5 +1,292 @@
 const EventEmitter = require("node:events");
+const fs = require("node:fs/promises");
+const { Readable } = require("node:stream");
 let dbus = require("dbus-next");
+const { ANCSAdvertisement } = require("./advertisement.js");
+const { ANCSAgent } = require("./agent.js");
+const { ANCSRecorder, loadCapture } = require("./capture.js");
+const codec = require("./codec.js");
+const { ANCSHistory } = require("./history.js");
+const { RuleSet } = require("./rules.js");
+const { EventBuffer, OverflowPolicy } = require("./stream.js");
+const { EventID, CategoryID, EventFlags, ActionID, NotificationAttributeID, AppAttributeID, ProtocolError, ProtocolErrorCode } = codec;
+
+/**
+ * The UUIDs of the characteristics that make up the ANCS
+ * @readonly
+ * @enum {String}
+ */
+const CharacteristicUUID = Object.freeze({
+    NotificationSource: "9FBF120D-6301-42D9-8C58-25E699A21DBD",
+    ControlPoint: "69D1D8F3-45E1-49A8-9821-9BBDFDAAD9D9",
+    DataSource: "22EAC6E9-24D6-4BB5-BE44-B36ACE7C7BFB",
+});
+
+/**
+ * The error codes the Control Point may respond with
+ * @readonly
+ * @enum {Number}
+ */
+const ControlPointErrorCode = Object.freeze({
+    UnknownCommand: 0xA0,
+    InvalidCommand: 0xA1,
+    InvalidParameter: 0xA2,
+    ActionFailed: 0xA3,
+});
+
+/**
+ * An error returned by the ANCS Control Point when a command is refused
+ * @extends Error
+ */
+class ControlPointError extends Error {
+    /**
+     * The error code sent back by the Control Point (see `ControlPointErrorCode`)
+     * @type {Number}
+     * @readonly
+     */
+    code;
+
+    /**
+     * Creates a new Control Point error
+     * @param {Number} code The error code received from the Control Point
+     */
+    constructor(code) {
+        let messages = {
+            [ControlPointErrorCode.UnknownCommand]: "The commandID was not recognized by the ANCS",
+            [ControlPointErrorCode.InvalidCommand]: "The command was improperly formatted",
+            [ControlPointErrorCode.InvalidParameter]: "One of the parameters (for example, the NotificationUID) does not refer to an existing object on the ANCS",
+            [ControlPointErrorCode.ActionFailed]: "The action was not performed",
+        };
+        super(messages[code] ?? "Unknown Control Point error 0x" + code.toString(16));
+        this.name = "ControlPointError";
+        this.code = code;
+    }
+}
+
+/**
+ * What a client was asked to do that it can't
+ * @readonly
+ * @enum {String}
+ */
+const ClientErrorCode = Object.freeze({
+    NotListening: "NOT_LISTENING",
+    ActionNotOffered: "ACTION_NOT_OFFERED",
+});
+
+/**
+ * An error for something the client can't do in the state it's in, before anything is sent to the device
+ * @extends Error
+ */
+class ClientError extends Error {
+    /**
+     * What was wrong (see `ClientErrorCode`)
+     * @type {String}
+     * @readonly
+     */
+    code;
+
+    /**
+     * Creates a new client error
+     * @param {String} code What was wrong (see `ClientErrorCode`)
+     * @param {String} message
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = "ClientError";
+        this.code = code;
+    }
+}
+
+/**
+ * Internal function to turn a failed Control Point write into a ControlPointError, if Bluez tells us the ATT error code
+ * @param {Error} e The error thrown by WriteValue
+ * @returns {Error}
+ */
+function toControlPointError(e) {
+    let matched = String(e?.text ?? e?.message).match(/ATT error: 0x([0-9a-f]{2})/i);
+    if (!matched) return e;
+    let code = parseInt(matched[1], 16);
+    if (!Object.values(ControlPointErrorCode).includes(code)) return e;
+    return new ControlPointError(code);
+}
+
+/**
+ * Finds a device and its ANCS characteristics among the Bluez objects. `ANCSClient.isSupported()`, `.startListening()` and
+ * `findANCSDevices()` all use this, so they agree on which devices have the ANCS.
+ * @param {Object.<string, Object.<string, Object.<string, dbus.Variant>>>} objects The Bluez objects, as returned by the ObjectManager's GetManagedObjects
+ * @param {String} MACAddress The device's MAC address
+ * @returns {{device?: String, NotificationSource: String, ControlPoint: String, DataSource: String}|undefined}
+ * The paths of the device and of each characteristic (named as in `CharacteristicUUID`), or undefined if any of the characteristics are missing
+ */
+function findANCS(objects, MACAddress) {
+    let found = {};
+    for (const [path, interfaces] of Object.entries(objects)) {
+        if (!path.split("/").includes("dev_" + MACAddress.replace(/:/g, "_"))) continue;
+        if (interfaces["org.bluez.Device1"]) found.device = path;
+        let uuid = interfaces["org.bluez.GattCharacteristic1"]?.UUID?.value?.toUpperCase();
+        let name = Object.keys(CharacteristicUUID).find((key) => CharacteristicUUID[key] === uuid);
+        if (name) found[name] = path;
+    }
+    return Object.keys(CharacteristicUUID).every((name) => found[name]) ? found : undefined;
+}
+
+/**
+ * Finds every device with the ANCS among the Bluez objects, using `findANCS()`. `ANCSManager.listDevices()` and `ancs devices` use this.
+ * @param {Object.<string, Object.<string, Object.<string, dbus.Variant>>>} objects The Bluez objects, as returned by the ObjectManager's GetManagedObjects
+ * @returns {import("./manager.js").ANCSDevice[]}
+ */
+function findANCSDevices(objects) {
+    let devices = [];
+    for (const [path, interfaces] of Object.entries(objects)) {
+        let device = interfaces["org.bluez.Device1"];
+        if (!device?.Address?.value || !findANCS(objects, device.Address.value)) continue;
+        devices.push({
+            address: device.Address.value,
+            name: device.Alias?.value ?? device.Name?.value ?? device.Address.value,
+            path,
+        });
+    }
+    return devices;
+}
+
+/**
+ * The attributes fetched for every notification, unless told otherwise
+ * @type {Number[]}
+ */
+const DEFAULT_ATTRIBUTES = [
+    NotificationAttributeID.AppIdentifier,
+    NotificationAttributeID.Title,
+    NotificationAttributeID.Subtitle,
+    NotificationAttributeID.Message,
+    NotificationAttributeID.Date,
+];
+
+/**
+ * How long to wait (in milliseconds) for a complete Data Source response before giving up on it
+ * @type {Number}
+ */
+const RESPONSE_TIMEOUT = 5000;
+
+/**
+ * How long to wait (in milliseconds) after Bluez says the device is back before resubscribing, so its characteristics can all appear
+ * @type {Number}
+ */
+const RECONNECT_DEBOUNCE = 500;
+
+/**
+ * How long to wait (in milliseconds) after iOS stops resending its notifications before deciding which have gone, unless told otherwise
+ * @type {Number}
+ */
+const SETTLE_TIME = 3000;
+
+/**
+ * Internal function to build a GetNotificationAttributes request for the Control Point queue
+ * @param {String} id The notification ID, as a hex string
+ * @param {Array<Number|{id: Number, maxLength?: Number}>} attributes The attributes to request
+ * @throws {ProtocolError} If the ID or attributes are invalid
+ * @returns {{id: String, command: Buffer, header: Buffer, attributeIDs: Number[]}}
+ */
+function notificationAttributeRequest(id, attributes) {
+    attributes = codec.normaliseAttributes(attributes);
+    let command = codec.encodeGetNotificationAttributes(id, attributes);
+    // The response starts with the CommandID and NotificationUID
+    return { id, command, header: command.subarray(0, 5), attributeIDs: attributes.map((attribute) => attribute.id) };
+}
+
+/**
+ * Internal function to build a GetAppAttributes request (for the app's display name) for the Control Point queue
+ * @param {String} appID The app identifier, e.g. `com.apple.MobileSMS`
+ * @throws {ProtocolError} If the app identifier is invalid
+ * @returns {{command: Buffer, header: Buffer, attributeIDs: Number[]}}
+ */
+function appAttributeRequest(appID) {
+    let attributeIDs = [AppAttributeID.DisplayName];
+    let command = codec.encodeGetAppAttributes(appID, attributeIDs);
+    // The response starts with the CommandID and null-terminated AppIdentifier
+    return { command, header: command.subarray(0, command.length - attributeIDs.length), attributeIDs };
+}
+
+/**
+ * Internal class to put together Data Source responses.
+ * A response can be split over multiple GATT notifications (long message bodies, small MTUs), so packets are
+ * collected here until every requested attribute has arrived.
+ */
+class ResponseAssembler {
+    #buffer = Buffer.alloc(0);
+    #pending;
+
+    /**
+     * Waits for the response to a command. Call this *before* writing the command to the Control Point.
+     * @param {Buffer} header The bytes the response starts with (the CommandID and NotificationUID)
+     * @param {Number[]} attributeIDs The IDs of the attributes requested, in the order they were requested
+     * @param {Number} timeout How long to wait for the full response, in milliseconds
+     * @returns {Promise<Buffer>} The complete response
+     */
+    expect(header, attributeIDs, timeout) {
+        this.cancel(new Error("Superseded by another request"));
+        return new Promise((resolve, reject) => {
+            let timer = setTimeout(() => this.cancel(new Error("Timed out waiting for a Data Source response")), timeout);
+            this.#pending = { header, attributeIDs, resolve, reject, timer };
+        });
+    }
+
+    /**
+     * Adds a packet received from the Data Source
+     * @param {Buffer} data
+     */
+    push(data) {
+        let pending = this.#pending;
+        if (!pending) return;
+        // The first packet of a response must start with the header we're expecting, otherwise it isn't ours.
+        // Long app IDs can make the header itself longer than a packet, so only the part that's arrived can be checked.
+        if (this.#buffer.length == 0 && !data.subarray(0, pending.header.length).equals(pending.header.subarray(0, data.length))) return;
+        this.#buffer = Buffer.concat([this.#buffer, data]);
+        if (this.#buffer.length < pending.header.length) return;
+        if (!this.#buffer.subarray(0, pending.header.length).equals(pending.header)) {
+            this.#buffer = Buffer.alloc(0);
+            return;
+        }
+
+        // Walk through the attributes to see if they've all arrived
+        let length;
+        try {
+            length = codec.responseLength(this.#buffer, pending.header.length, pending.attributeIDs);
+        } catch (e) {
+            return this.cancel(e);
+        }
+        if (length == -1) return;
+        let response = this.#buffer.subarray(0, length);
+        this.#reset();
+        pending.resolve(response);
+    }
+
+    /**
+     * Stops waiting for the current response (if there is one)
+     * @param {Error} error What the pending request is rejected with
+     */
+    cancel(error) {
+        let pending = this.#pending;
+        if (!pending) return;
+        this.#reset();
+        pending.reject(error);
+    }
+
+    #reset() {
+        clearTimeout(this.#pending?.timer);
+        this.#pending = undefined;
+        this.#buffer = Buffer.alloc(0);
+    }
+}
+
+/**
+ * Internal function to explain a failed StartNotify, as the ANCS refuses it until the device is bonded
+ * @param {Error} e The error thrown by StartNotify
+ * @returns {String} A hint to add to the error message, if there is one
+ */
+function notifyHint(e) {
+    if (!/auth|encrypt|permitted|paired|bond/i.test(`${e?.type} ${e?.text ?? e?.message}`)) return "";
+    return " The device may not be paired yet - see .registerAgent() to pair with it.";
+}
 
 /**
  * A notification from the ANCS
@@ -47,25 +334,122 @@ class ANCSNotification {
      * @readonly 
      */
     raw;
+    /**
+     * The EventFlags sent with this notification, as a bit field (see `EventFlags`)
+     * @type {Number}
+     * @readonly
+     */
+    flags;
+    /**
+     * The category of this notification (see `CategoryID`)
+     * @type {Number}
+     * @readonly
+     */
+    category;
+    /**
+     * The number of active notifications in this notification's category, as reported by the ANCS
+     * @type {Number}
+     * @readonly
+     */
+    categoryCount;
+    /**
+     * The size of the full message body, in bytes. Only provided if the MessageSize attribute was fetched
+     * @type {Number}
+     * @readonly
+     */
+    messageSize;
+    /**
+     * The label for this notification's positive action (e.g. "Answer"). Only provided if the PositiveActionLabel attribute was fetched
+     * @type {String}
+     * @readonly
+     */
+    positiveActionLabel;
+    /**
+     * The label for this notification's negative action (e.g. "Decline"). Only provided if the NegativeActionLabel attribute was fetched
+     * @type {String}
+     * @readonly
+     */
+    negativeActionLabel;
+    /**
+     * Every attribute received for this notification, keyed by its ID (see `NotificationAttributeID`)
+     * @type {Object.<number, (String|Number|Date)>}
+     * @readonly
+     */
+    attributes;
+    #client;
 
     /**
      * Creates a new ANCS notification
-     * @param {String} title 
-     * @param {String} subtitle 
-     * @param {String} body 
-     * @param {String} appID 
-     * @param {Date} date 
+     * @param {Buffer} raw
+     * @param {String} id
+     * @param {Object.<number, (String|Number|Date)>} attributes The attributes received, keyed by attribute ID
+     * @param {{flags: Number, category: Number, categoryCount: Number}} event The details received from the Notification Source
+     * @param {ANCSClient} client The client this notification was received by
      * Note: You probably won't want to be creating this (it's for internal use only).
      * Get one from the ANCSClient's events (or notifications property) instead!
      */
-    constructor(raw, id, title, subtitle, body, appID, date) {
+    constructor(raw, id, attributes, event, client) {
         this.raw = raw;
         this.id = id;
-        this.title = title;
-        this.subtitle = subtitle;
-        this.body = body;
-        this.appID = appID;
-        this.date = date;
+        this.attributes = attributes ?? {};
+        this.appID = this.attributes[NotificationAttributeID.AppIdentifier];
+        this.title = this.attributes[NotificationAttributeID.Title];
+        this.subtitle = this.attributes[NotificationAttributeID.Subtitle];
+        this.body = this.attributes[NotificationAttributeID.Message];
+        this.messageSize = this.attributes[NotificationAttributeID.MessageSize];
+        this.date = this.attributes[NotificationAttributeID.Date];
+        this.positiveActionLabel = this.attributes[NotificationAttributeID.PositiveActionLabel];
+        this.negativeActionLabel = this.attributes[NotificationAttributeID.NegativeActionLabel];
+        this.flags = event?.flags ?? 0;
+        this.category = event?.category ?? CategoryID.Other;
+        this.categoryCount = event?.categoryCount ?? 0;
+        this.#client = client;
+    }
+
+    /**
+     * Fetches more attributes for this notification from the ANCS, e.g. the full body after only fetching the title.
+     * @param {Array<Number|{id: Number, maxLength?: Number}>} attributes The attributes to fetch (see `NotificationAttributeID`).
+     * Title, Subtitle and Message can be given a `maxLength` in bytes.
+     * @throws {ClientError} If not listening
+     * @throws {Error} If the response doesn't arrive
+     * @throws {ControlPointError} If the ANCS refuses the request (e.g. the notification has since been removed)
+     * @returns {Promise<ANCSNotification>} A new notification with the fetched attributes added. The notification cache is updated too (without emitting `edited`).
+     */
+    async fetchAttributes(attributes) {
+        if (!this.#client) throw new Error("This notification was not received from an ANCSClient");
+        return this.#client.fetchAttributes(this.id, attributes);
+    }
+
+    /**
+     * Whether this notification already existed on the iOS device before we started listening.
+     * These are sent in bulk whenever the client (re)connects, so you may want to ignore them.
+     * @type {Boolean}
+     * @readonly
+     */
+    get preExisting() {
+        return (this.flags & EventFlags.PreExisting) != 0;
+    }
+
+    /**
+     * Performs the positive action of this notification on the iOS device (e.g. accepting an incoming call)
+     * @throws {ClientError} If the notification has no positive action
+     * @throws {ControlPointError} If the ANCS refuses the action
+     * @returns {Promise<void>}
+     */
+    async performPositiveAction() {
+        if (!this.#client) throw new Error("This notification was not received from an ANCSClient");
+        return this.#client.performAction(this.id, ActionID.Positive);
+    }
+
+    /**
+     * Performs the negative action of this notification on the iOS device (e.g. declining an incoming call or dismissing a message)
+     * @throws {ClientError} If the notification has no negative action
+     * @throws {ControlPointError} If the ANCS refuses the action
+     * @returns {Promise<void>}
+     */
+    async performNegativeAction() {
+        if (!this.#client) throw new Error("This notification was not received from an ANCSClient");
+        return this.#client.performAction(this.id, ActionID.Negative);
     }
 
     /**
@@ -73,7 +457,8 @@ class ANCSNotification {
      * @param {String} separator How to divide the content. By default this is a newline (\n) but this may be undesired in a number of situations.
      */
     toReadableString(separator) {
-        return `${this.title}${separator ?? '\n'}${this.subtitle}${separator ?? '\n'}${this.body}${separator ?? '\n'}${this.date.toLocaleTimeString()}`;
+        let date = this.date instanceof Date ? this.date.toLocaleTimeString() : this.date;
+        return `${this.title ?? ''}${separator ?? '\n'}${this.subtitle ?? ''}${separator ?? '\n'}${this.body ?? ''}${separator ?? '\n'}${date ?? ''}`;
     }
 
     /**
@@ -87,19 +472,71 @@ class ANCSNotification {
         return this.raw.toString(encoding ?? 'hex');
     }
 
+    /**
+     * Gets the notification's details as a plain object, so `JSON.stringify()` gives something useful.
+     * Attributes that weren't fetched are left out, and `raw` is base64 encoded (as in the history).
+     * @returns {{id: String, appID?: String, title?: String, subtitle?: String, body?: String, date?: (Date|String), messageSize?: Number,
+     * positiveActionLabel?: String, negativeActionLabel?: String, flags: Number, category: Number, categoryCount: Number, preExisting: Boolean, raw: String}}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            appID: this.appID,
+            title: this.title,
+            subtitle: this.subtitle,
+            body: this.body,
+            date: this.date,
+            messageSize: this.messageSize,
+            positiveActionLabel: this.positiveActionLabel,
+            negativeActionLabel: this.negativeActionLabel,
+            flags: this.flags,
+            category: this.category,
+            categoryCount: this.categoryCount,
+            preExisting: this.preExisting,
+            raw: this.raw.toString("base64"),
+        };
+    }
+
     /**
      * Gets app attributes (currently only the app's display name) from the ANCS 
-     * @deprecated **This method is experimental and should not be used in production** (yet)
-     * @throws {Error}
-     * @returns {String}
-     * This method is marked as experimental as I was not able to successfully receive the app attributes - 
-     * IOS may have stopped supporting this. See Github Issues for the latest on this.
+     * @throws {Error} If the app's name couldn't be fetched (some iOS versions don't respond at all)
+     * @throws {ControlPointError} If the ANCS refuses the request
+     * @returns {Promise<String>} The display name of the app that sent this notification, e.g. "Messages"
+     * Names are cached by the client, so each app is only fetched once (see `ANCSClient.getAppName()`).
      */
     async getAppFromId() {
-
+        if (!this.#client) throw new Error("This notification was not received from an ANCSClient");
+        if (!this.appID) throw new Error("This notification has no app ID. Make sure AppIdentifier is one of the fetched attributes");
+        return this.#client.getAppName(this.appID);
     }
 }
 
+/**
+ * Options for an ANCSClient. These can be given to the constructor, or to `.startListening()` to override them.
+ * @typedef {Object} ANCSClientOptions
+ * @property {Boolean} [noparse] Set to True if parsing should NOT be done when a notification is received.
+ * @property {Array<Number|{id: Number, maxLength?: Number}>} [attributes] The attributes to fetch for each notification (see `NotificationAttributeID`).
+ * Title, Subtitle and Message can be given a `maxLength` in bytes. Defaults to the app ID, title, subtitle, message and date.
+ * @property {Number} [timeout] How long to wait for a notification's attributes to arrive, in milliseconds. Defaults to 5000.
+ * @property {String} [appNameCache] A JSON file to keep app display names in. It's loaded when listening starts (if it exists) and saved whenever a new name is fetched.
+ * A file that isn't valid JSON is ignored (with an `error` event).
+ * @property {dbus.MessageBus} [bus] A dbus-next bus to use instead of connecting to the system bus, e.g. to share one connection between clients. Only used by the constructor.
+ * @property {Boolean|ReconnectOptions} [reconnect] Set to True (or a set of ReconnectOptions) to resubscribe automatically when the device disconnects and comes back. Off by default.
+ * @property {String|ANCSHistory|import("./history.js").HistoryStore} [history] Where to record notifications as they're created, edited and removed: the path of an NDJSON file,
+ * an ANCSHistory, or a store of your own. Notifications that hadn't been removed are put back in the cache when listening starts. Only used by the constructor.
+ * @property {String|ANCSRecorder|import("./capture.js").Recorder} [recorder] Where to capture every Notification Source value, Data Source value and Control Point write,
+ * for debugging or playing back with `.replay()`: the path of an NDJSON file, an ANCSRecorder, or a recorder of your own. Off by default.
+ */
+
+/**
+ * Options for reconnecting automatically
+ * @typedef {Object} ReconnectOptions
+ * @property {Number} [initialDelay] How long to wait before the first attempt to reconnect, in milliseconds. This doubles after each failed attempt. Defaults to 1000.
+ * @property {Number} [maxDelay] The longest to wait between attempts, in milliseconds. Defaults to 60000.
+ * @property {Number} [maxAttempts] How many attempts to make before giving up and stopping. Defaults to Infinity (keep trying until `.stopListening()` is called).
+ * @property {Number} [settleTime] How long to wait after iOS stops resending its notifications before deciding which were removed while disconnected, in milliseconds. Defaults to 3000.
+ */
+
 /**
  * ANCS Client Class
  * @extends EventEmitter
@@ -108,6 +545,9 @@ class ANCSNotification {
  * @fires ANCSClient#created When a new notification has been received
  * @fires ANCSClient#edited When a notification has been changed
  * @fires ANCSClient#removed When a notification has been removed
+ * @fires ANCSClient#disconnected When the device disconnects (only with the `reconnect` option)
+ * @fires ANCSClient#reconnected When the device reconnects and notifications are received again (only with the `reconnect` option)
+ * @fires ANCSClient#error When something goes wrong while listening (e.g. a malformed packet). Only emitted if there are listeners.
  * 
  * Get started by initialising this class like so:
  * ```js
@@ -129,20 +569,103 @@ class ANCSClient extends EventEmitter {
      * @type {String}
      */
     MACAddress = "";
+    /**
+     * The app name cache, matching an app ID to its display name. Filled in by `.getAppName()`.
+     * @type {Object.<string, string>}
+     */
+    appNames = {};
+    /**
+     * The notification history, if the `history` option was given
+     * @type {ANCSHistory|undefined}
+     * @readonly
+     */
+    history;
     #notificationSource = {};
     #controlPoint = {};
     #dataSource = {};
+    #device = {};
+    #options = {};
+    #session = {};
+    #bus;
+    #watcher;
+    #reconciling;
+    #advertisement;
+    #agent;
+    #replaying;
+    #rules = new RuleSet();
+    // App names being fetched, so a burst of notifications from one app only asks once
+    #appNameRequests = new Map();
+    // Saves of the app name cache, one at a time
+    #savingAppNames = Promise.resolve();
 
     /**
      * Create an ANCS instance. 
      * @param {String} MACAddress A valid MAC address
-     * @throws {Error} If MAC Address is not valid or provided
+     * @param {ANCSClientOptions} [options] How notifications should be fetched
+     * @throws {Error} If MAC Address is not valid or provided, or the options are invalid
      */
-    constructor(MACAddress) {
+    constructor(MACAddress, options) {
         super(); // Set up event emitter
         if (!MACAddress) throw new Error("No device MAC address provided");
         if (!this.#testMac(MACAddress)) throw new Error("MAC address is invalid. Ensure your MAC address follows the format 01:23:45:67:89:AB");
         this.MACAddress = MACAddress;
+        this.#options = this.#parseOptions(options);
+        this.#bus = options?.bus;
+        if (options?.history) this.history = options.history instanceof ANCSHistory ? options.history : new ANCSHistory(options.history);
+    }
+
+    /**
+     * Internal method to fill in the gaps in a set of options
+     * @param {ANCSClientOptions} options
+     * @param {ANCSClientOptions} [defaults] Options to fall back on
+     * @returns {ANCSClientOptions}
+     */
+    #parseOptions(options, defaults) {
+        return {
+            noparse: options?.noparse ?? defaults?.noparse ?? false,
+            attributes: options?.attributes ? codec.normaliseAttributes(options.attributes) : (defaults?.attributes ?? codec.normaliseAttributes(DEFAULT_ATTRIBUTES)),
+            timeout: options?.timeout ?? defaults?.timeout ?? RESPONSE_TIMEOUT,
+            appNameCache: options?.appNameCache ?? defaults?.appNameCache,
+            reconnect: this.#parseReconnectOptions(options?.reconnect ?? defaults?.reconnect),
+            recorder: this.#parseRecorder(options?.recorder) ?? defaults?.recorder,
+        };
+    }
+
+    /**
+     * Internal method to turn the recorder option into a recorder
+     * @param {String|import("./capture.js").Recorder} [recorder]
+     * @throws {Error} If it isn't a path or a recorder
+     * @returns {import("./capture.js").Recorder|undefined}
+     */
+    #parseRecorder(recorder) {
+        if (!recorder) return undefined;
+        if (typeof recorder == "string") return new ANCSRecorder(recorder);
+        if (typeof recorder.record != "function") throw new Error("Recorder must be a file path, or have a record() method");
+        return recorder;
+    }
+
+    /**
+     * Internal method to fill in the gaps in the reconnect option
+     * @param {Boolean|ReconnectOptions} [reconnect]
+     * @returns {false|ReconnectOptions}
+     */
+    #parseReconnectOptions(reconnect) {
+        if (!reconnect) return false;
+        return {
+            initialDelay: reconnect.initialDelay ?? 1000,
+            maxDelay: reconnect.maxDelay ?? 60000,
+            maxAttempts: reconnect.maxAttempts ?? Infinity,
+            settleTime: reconnect.settleTime ?? SETTLE_TIME,
+        };
+    }
+
+    /**
+     * Internal method to get the bus (the system bus, unless one was given), connecting to it the first time
+     * @returns {dbus.MessageBus}
+     */
+    #getBus() {
+        this.#bus ??= dbus.systemBus();
+        return this.#bus;
     }
 
     /**
@@ -165,6 +688,18 @@ class ANCSClient extends EventEmitter {
         else return false;
     }
 
+    /**
+     * Internal method to pass along an error that happened away from any caller (e.g. a malformed packet), if anyone is listening for them
+     * @param {Error} error
+     */
+    #emitError(error) {
+        /**
+         * @event ANCSClient#error Something went wrong while listening, e.g. the device sent a malformed packet. Listening carries on regardless.
+         * @type {Error}
+         */
+        if (this.listenerCount("error") > 0) this.emit("error", error);
+    }
+
     /**
      * Check if a bluetooth device is connectable and has the ANCS. Not required, but highly recommended! ;)
      * @param {String} MACAddress The MAC address to check, e.g `"01:23:45:67:89:AB"`
@@ -178,24 +713,11 @@ class ANCSClient extends EventEmitter {
     async isSupported() {
         // Get bluez interfaces
         try {
-            let bus = dbus.systemBus();
+            let bus = this.#getBus();
             let bluez = await bus.getProxyObject("org.bluez", "/");
             let manager = bluez.getInterface("org.freedesktop.DBus.ObjectManager")
             let objects = await manager.GetManagedObjects();
-            let hasNotificationSource = false,
-                hasDataSource = false,
-                hasControlPoint = false;
-            // Iterate through the objects to see if it exists...
-            for (const path of Object.keys(objects).filter((v) => this.#matchMacInPath(v, this.MACAddress))) {
-                let char = objects[path]["org.bluez.GattCharacteristic1"];
-                let uuid = char?.UUID?.value;
-                if(!uuid) continue;
-                uuid = uuid.toUpperCase();
-                if (uuid === "9FBF120D-6301-42D9-8C58-25E699A21DBD") hasNotificationSource = true;
-                else if (uuid === "69D1D8F3-45E1-49A8-9821-9BBDFDAAD9D9") hasControlPoint = true;
-                else if (uuid === "22EAC6E9-24D6-4BB5-BE44-B36ACE7C7BFB") hasDataSource = true;
-            }
-            return hasNotificationSource && hasControlPoint && hasDataSource;
+            return !!findANCS(objects, this.MACAddress);
         } catch (e) {
             return false;
         }
@@ -204,7 +726,8 @@ class ANCSClient extends EventEmitter {
     /**
      * Begins listening for notifications over bluetooth. Returns True if listening succeeded, false otherwise.
      * @throws {Error} 
-     * @param {?Boolean} noparse - Set to True if parsing should NOT be done when a notification is received. Events will still return ANCSNotification objects but only contain data within the "raw" property.
+     * @param {?(ANCSClientOptions|Boolean)} options - Overrides the options given to the constructor.
+     * Passing a Boolean sets `noparse` - if True, parsing is NOT done when a notification is received. Events will still return ANCSNotification objects but only contain data within the "raw" property.
      * @returns {Promise<boolean>} 
      * 
      * Before calling this method:
@@ -215,196 +738,523 @@ class ANCSClient extends EventEmitter {
      * - Bluetooth (through bluez) is not supported on this device
      * - 
      */
-    async startListening(noparse) {
+    async startListening(options) {
+        if (typeof options == "boolean") options = { noparse: options };
+        this.#session = this.#parseOptions(options, this.#options);
+        // Pick up any app names saved last time
+        if (this.#session.appNameCache) {
+            try {
+                await this.loadAppNames(this.#session.appNameCache);
+            } catch (e) {
+                // Only errors reading the file have a code. One that's there but can't be read as JSON is no worse than a missing one.
+                if (e.code && e.code != "ENOENT") throw new Error("Couldn't load the app name cache. " + e.message);
+                if (!e.code) this.#emitError(new Error("Couldn't load the app name cache, so starting without it. " + e.message));
+            }
+        }
+        // Put back what was around last time, so it can be checked against what iOS sends
+        if (this.history) await this.#restoreHistory();
+        if (!await this.#subscribe()) return false;
+        this.#armReconciliation();
+        // Keep an eye on the connection if we've been asked to reconnect
+        if (this.#session.reconnect) await this.#watchConnection();
+
+        /**
+         * @event ANCSClient#start Starts listening for device notifications
+         * @type {String} The MAC Address that started.
+         */
+        this.emit("start", this.MACAddress);
+        return true;
+    }
+
+    /**
+     * Internal method to put notifications that hadn't been removed back into the cache, from the history.
+     * Any that iOS doesn't send again once we're listening are removed.
+     * @throws {Error} If the history couldn't be loaded
+     * @returns {Promise<void>}
+     */
+    async #restoreHistory() {
+        let restored;
+        try {
+            restored = await this.history.live();
+        } catch (e) {
+            throw new Error("Couldn't load the notification history. " + e.message);
+        }
+        restored = restored.filter((record) => !this.notifications[record.id]);
+        if (restored.length == 0) return;
+        for (const record of restored) {
+            this.notifications[record.id] = new ANCSNotification(record.raw, record.id, record.attributes, record, this);
+        }
+        clearTimeout(this.#reconciling?.timer);
+        this.#reconciling = { missing: new Set([...(this.#reconciling?.missing ?? []), ...restored.map((record) => record.id)]) };
+    }
+
+    /**
+     * Internal method to record a change in the history (if there is one)
+     * @param {"created"|"edited"|"removed"} type
+     * @param {ANCSNotification|String} notification The notification, or its ID if it was removed
+     */
+    #record(type, notification) {
+        this.history?.record(type, notification).catch((e) => this.#emitError(e));
+    }
+
+    /**
+     * Internal method to capture something going over the ANCS characteristics (if there's a recorder)
+     * @param {"in"|"out"} direction
+     * @param {"NotificationSource"|"DataSource"|"ControlPoint"} characteristic
+     * @param {{value?: Buffer, error?: String}} content The value, or why a Control Point write failed
+     */
+    #capture(direction, characteristic, content) {
+        let recorder = this.#session.recorder;
+        if (!recorder) return;
+        let entry = { time: new Date(), direction, characteristic, ...content };
+        Promise.resolve().then(() => recorder.record(entry)).catch((e) => this.#emitError(e));
+    }
+
+    /**
+     * Internal method to find the ANCS characteristics and subscribe to them. Used when starting to listen, and again after reconnecting.
+     * @throws {Error} If notifying couldn't be started
+     * @returns {Promise<boolean>} False if the device doesn't have the ANCS characteristics (yet)
+     */
+    async #subscribe() {
         // Get bluez interfaces
-        let bus = dbus.systemBus();
+        let bus = this.#getBus();
         let bluez = await bus.getProxyObject("org.bluez", "/");
         let manager = bluez.getInterface("org.freedesktop.DBus.ObjectManager")
         let objects = await manager.GetManagedObjects();
-        // Iterate through until we find all of 'em
-        let notificationSource, controlPoint, dataSource;
-        for (const path of Object.keys(objects).filter((v) => this.#matchMacInPath(v, this.MACAddress))) {
-            let char = objects[path]["org.bluez.GattCharacteristic1"];
-            if (!char || !char.UUID) {
-                continue;
-            }
-            if (char.UUID.value.toUpperCase() == "9FBF120D-6301-42D9-8C58-25E699A21DBD") {
-                this.#notificationSource.path = path;
-                notificationSource = true;
-            } else if (char.UUID.value.toUpperCase() == "69D1D8F3-45E1-49A8-9821-9BBDFDAAD9D9") {
-                this.#controlPoint.path = path;
-                controlPoint = true;
-            } else if (char.UUID.value.toUpperCase() == "22EAC6E9-24D6-4BB5-BE44-B36ACE7C7BFB") {
-                this.#dataSource.path = path;
-                dataSource = true;
-            }
-        }
-
+        // These paths can change after a reconnect, so they're found every time
+        let found = findANCS(objects, this.MACAddress);
         // Don't bother trying to subscribe if we can't
-        if (!notificationSource || !controlPoint || !dataSource) return false;
-        // Get notification interface and notify
-        let notifObj = await bus.getProxyObject('org.bluez', this.#notificationSource.path);
-        let notifChar = notifObj.getInterface('org.bluez.GattCharacteristic1');
+        if (!found) return false;
+        this.#device.path = found.device;
+        this.#notificationSource.path = found.NotificationSource;
+        this.#controlPoint.path = found.ControlPoint;
+        this.#dataSource.path = found.DataSource;
+
         try {
-            await notifChar.StartNotify();
-        } catch(e) {
-            throw new Error("Couldn't start notify on NotificationSource. " + e);
+            // Get control path for when we require more details
+            const obj = await bus.getProxyObject("org.bluez", this.#controlPoint.path);
+            const controlChar = obj.getInterface("org.bluez.GattCharacteristic1");
+            // Everything going in and out is captured on the way, if there's a recorder
+            const handlers = this.#listen(async (command) => {
+                this.#capture("out", "ControlPoint", { value: command });
+                try {
+                    await controlChar.WriteValue(command, {});
+                } catch (e) {
+                    this.#capture("in", "ControlPoint", { error: String(e?.text ?? e?.message) });
+                    throw e;
+                }
+            });
+
+            // Get data source interface and notify. This comes first, so no responses are missed.
+            const dataObj = await bus.getProxyObject("org.bluez", this.#dataSource.path);
+            const dataChar = dataObj.getInterface('org.bluez.GattCharacteristic1');
+            const dataProps = dataObj.getInterface('org.freedesktop.DBus.Properties');
+            this.#dataSource.listener = dataProps.on("PropertiesChanged", async (iface, changed) => {
+                // If a change is detected, pass it along to be put together
+                if (changed.Value?.value) {
+                    let value = Buffer.from(changed.Value.value);
+                    this.#capture("in", "DataSource", { value });
+                    handlers.dataSource(value);
+                }
+            });
+            try {
+                await dataChar.StartNotify();
+            } catch(e) {
+                throw new Error("Couldn't start notify on DataSource. " + e + notifyHint(e));
+            }
+
+            // Get notification interface and notify
+            let notifObj = await bus.getProxyObject('org.bluez', this.#notificationSource.path);
+            let notifChar = notifObj.getInterface('org.bluez.GattCharacteristic1');
+            let notifProps = notifObj.getInterface('org.freedesktop.DBus.Properties');
+
+            // Set our listener.
+            this.#notificationSource.listener = notifProps.on('PropertiesChanged', async (iface, changed) => {
+                // If a change is detected
+                if (changed.Value?.value) {
+                    let value = Buffer.from(changed.Value.value);
+                    this.#capture("in", "NotificationSource", { value });
+                    handlers.notificationSource(value);
+                }
+            });
+            try {
+                await notifChar.StartNotify();
+            } catch(e) {
+                throw new Error("Couldn't start notify on NotificationSource. " + e + notifyHint(e));
+            }
+        } catch (e) {
+            // Don't leave half a subscription lying around
+            this.#teardown(e);
+            throw e;
         }
-        let notifProps = notifObj.getInterface('org.freedesktop.DBus.Properties');
+        return true;
+    }
 
-        // Get control path for when we require more details
-        const obj = await bus.getProxyObject("org.bluez", this.#controlPoint.path);
-        const controlChar = obj.getInterface("org.bluez.GattCharacteristic1");
+    /**
+     * Internal method to set up everything that turns ANCS traffic into notifications: the Data Source assembler, the Control Point queue and the rules.
+     * Nothing in here talks to Bluez, so the same logic runs when listening to a device and when replaying a capture.
+     * @param {function(Buffer): Promise<void>} write Writes a command to the Control Point
+     * @returns {{notificationSource: function(Buffer): void, dataSource: function(Buffer): void, drained: function(): Promise<void>}}
+     * What to call with each value received from the Notification Source and Data Source, and a way to wait for the Control Point queue to empty
+     */
+    #listen(write) {
+        const { noparse, attributes, timeout } = this.#session;
+        // Data source responses can be split over multiple packets, so they're collected here
+        const assembler = new ResponseAssembler();
+        this.#dataSource.assembler = assembler;
+        this.#controlPoint.write = write;
 
         // Make a queue for receiving notifications at the start
+        // Each entry is a request from notificationAttributeRequest() or appAttributeRequest(), plus resolve/reject if someone is waiting on it,
+        // or handle if the response needs something other than turning into a notification
         let queue = [];
+        this.#controlPoint.queue = queue;
         let isDequeuing;
+        // Anyone waiting for the queue to empty
+        let drainWaiters = [];
+        // Notification Source details for each notification, kept until its attributes arrive
+        let events = {};
+        // Notifications a rule has muted (or might yet), so their removal isn't mentioned either
+        let muted = new Set();
+        // Notifications removed while their attributes were being fetched, so the response is dropped when it arrives
+        let removed = new Set();
+
+        // Turns a complete GetNotificationAttributes response into a notification
+        // known holds any attributes fetched earlier on (the app ID, if the rules needed it first)
+        const handleNotificationAttributes = (data, attributeIDs, known) => {
+            let notificationID = data.subarray(1, 5).toString("hex");
+            // iOS has already said it's gone
+            if (removed.delete(notificationID)) return;
+            // Throws before anything is emitted, so a bad response never makes half a notification
+            let attributes = noparse ? {} : { ...known, ...codec.decodeNotificationAttributes(data, attributeIDs).attributes };
+
+            // Put together notification data
+            let event = events[notificationID];
+            delete (events[notificationID]);
+            let notificationobj = new ANCSNotification(data, notificationID, attributes, event, this);
+            let previous = this.notifications[notificationID];
+            let type;
+            if (event?.eventID == EventID.Added && previous) {
+                // iOS sends every notification again when we (re)subscribe, so only say so if it's actually changed
+                if (!previous.raw.equals(data)) type = "edited";
+            } else if (event ? event.eventID == EventID.Added : !previous) {
+                // If we don't have it already, it's new (falling back to the cache if we never saw the EventID)
+                type = "created";
+            } else {
+                // Just edited
+                type = "edited";
+            }
+            if (type && this.#rules.run(notificationobj, type, (e) => this.#emitError(e)).muted) {
+                // As far as anyone listening is concerned, it never arrived
+                muted.add(notificationID);
+                return;
+            }
+            muted.delete(notificationID);
+            if (type == "created") {
+                /**
+                * @event ANCSClient#created A notification has been created
+                * @type {ANCSNotification} The new notification content and details.
+                */
+                this.#record("created", notificationobj);
+                this.emit("created", notificationobj);
+            } else if (type == "edited") {
+                /**
+                * @event ANCSClient#edited A notification has been changed
+                * @type {ANCSNotification} The new notification content and details.
+                */
+                this.#record("edited", notificationobj);
+                this.emit("edited", notificationobj);
+            }
+            this.notifications[notificationID] = notificationobj
+        };
+
+        // Queues up fetching a notification's attributes, as the rules planned it
+        // prefetched is the response with the app ID, if the rules needed that first
+        const fetchPlanned = (notificationID, plan, prefetched) => {
+            if (plan.mute) {
+                // Muted before fetching (any more of) it, which saves the Control Point the trouble
+                muted.add(notificationID);
+                delete (events[notificationID]);
+                return;
+            }
+            let wanted = plan.attributes ?? attributes;
+            if (prefetched) {
+                // Don't ask for what we already have
+                wanted = wanted.filter((attribute) => prefetched.attributes[attribute.id] === undefined);
+                if (wanted.length == 0) return handleNotificationAttributes(prefetched.data, prefetched.attributeIDs);
+            }
+            this.#controlPoint.enqueue({ ...notificationAttributeRequest(notificationID, wanted), known: prefetched?.attributes });
+        };
+
+        // Some rules need the app ID to decide whether (and what) to fetch, so that's fetched on its own first
+        const fetchAppID = (notificationID) => {
+            let attributeIDs = [NotificationAttributeID.AppIdentifier];
+            // Say nothing about it until the rules have decided
+            muted.add(notificationID);
+            const handle = (data) => {
+                let { attributes: fetched } = codec.decodeNotificationAttributes(data, attributeIDs);
+                let event = events[notificationID];
+                // Removed while we were waiting
+                if (removed.delete(notificationID) || !event) return;
+                let plan = this.#rules.plan({ ...event, appID: fetched[NotificationAttributeID.AppIdentifier] });
+                fetchPlanned(notificationID, plan, { data, attributeIDs, attributes: fetched });
+            };
+            this.#controlPoint.enqueue({ ...notificationAttributeRequest(notificationID, attributeIDs), handle });
+        };
+
         // Shockingly nesting functions, don't mind me
-        async function dequeue() {
+        // Only one request is in flight at a time: the next is sent once the response is complete (or has failed)
+        const dequeue = async () => {
             isDequeuing = true;
             while(queue.length > 0) {
-                let next = queue.splice(0, 1);
-                await controlChar.WriteValue(
-                    // 00 (AppID) 01FFFF (title) 02FFFF (subtitle) 03FFFF (body) 05 (date)
-                    // TODO: Support for actions, max sizes
-                    Buffer.from("00" + next + "0001FFFF02FFFF03FFFF05", "hex"), {}
-                );
+                let next = queue.shift();
+                try {
+                    let [response] = await Promise.all([
+                        // Start waiting before writing, in case the response is quick
+                        assembler.expect(next.header, next.attributeIDs, timeout),
+                        write(next.command),
+                    ]);
+                    if (next.resolve) next.resolve(response);
+                    else if (next.handle) next.handle(response);
+                    else handleNotificationAttributes(response, next.attributeIDs, next.known);
+                } catch (e) {
+                    // Couldn't get this one (it may have been removed in the meantime), so move on to the next
+                    assembler.cancel(e);
+                    if (next.reject) next.reject(toControlPointError(e));
+                    else {
+                        delete (events[next.id]);
+                        removed.delete(next.id);
+                        // Nobody is waiting on this one to hear about a bad response, so pass it along
+                        if (e instanceof ProtocolError) this.#emitError(e);
+                    }
+                }
             }
             isDequeuing = false;
-        }
+            for (const resolve of drainWaiters.splice(0)) resolve();
+        };
+        this.#controlPoint.enqueue = (request) => {
+            queue.push(request);
+            if (!isDequeuing) dequeue();
+        };
 
-        // Set our listener.
-        this.#notificationSource.listener = notifProps.on('PropertiesChanged', async (iface, changed) => {
-            // If a change is detected
-            if (changed.Value?.value) {
-                // Get hex bytes from message
-                const data = Buffer.from(changed.Value.value).toString("hex");
-                if (data.length != 16) throw new Error("Unexpected notification message length");
-                if (data.substring(0, 2) == "02") {
-                    // Notification has been removed :(
-                    /**
-                    * @event ANCSClient#removed A notification has been removed
-                    * @type {ANCSNotification} The notification details before it was removed
-                    */
-                    this.emit("removed", data.substring(data.length - 8));
-                    delete (this.notifications[data.substring(data.length - 8)]);
-                } else {
-                    // Notification has been created or edited. 
-                    queue.push(data.substring(data.length - 8));
-                    if(!isDequeuing) dequeue();
-                }
+        // Works out what a Notification Source value means, and fetches (or forgets) the notification
+        const handleNotificationSource = (value) => {
+            let event;
+            try {
+                event = codec.decodeNotificationSource(value);
+            } catch (e) {
+                // Nothing can catch a throw from in here, so pass it along instead
+                return this.#emitError(e);
             }
-        });
+            const { eventID, id: notificationID } = event;
+            // Anything iOS tells us about after a reconnect is still around
+            if (this.#reconciling) {
+                this.#reconciling.missing.delete(notificationID);
+                this.#armReconciliation();
+            }
+            if (eventID == EventID.Removed) {
+                // Notification has been removed :(
+                /**
+                * @event ANCSClient#removed A notification has been removed
+                * @type {ANCSNotification} The notification details before it was removed
+                */
+                // Its attributes are still on their way, so nobody has heard about it yet if it's new
+                let fetching = !!events[notificationID];
+                delete (events[notificationID]);
+                if (fetching) removed.add(notificationID);
+                // Nobody heard about it if it was muted
+                if ((muted.delete(notificationID) || fetching) && !this.notifications[notificationID]) return;
+                this.#record("removed", notificationID);
+                this.emit("removed", notificationID);
+                delete (this.notifications[notificationID]);
+            } else {
+                // Notification has been created or edited. The rules decide what's fetched (if anything).
+                events[notificationID] = event;
+                let plan = this.#rules.plan(event);
+                if (plan.needsAppID && !noparse) fetchAppID(notificationID);
+                else fetchPlanned(notificationID, plan);
+            }
+        };
+
+        return {
+            notificationSource: handleNotificationSource,
+            dataSource: (value) => assembler.push(value),
+            drained: () => isDequeuing ? new Promise((resolve) => drainWaiters.push(resolve)) : Promise.resolve(),
+        };
+    }
+
+    /**
+     * Internal method to forget about the current subscription, without talking to the device (it may not be there anymore)
+     * @param {Error} error What any requests still waiting are rejected with
+     */
+    #teardown(error) {
+        this.#notificationSource.listener?.removeAllListeners("PropertiesChanged");
+        this.#dataSource.listener?.removeAllListeners("PropertiesChanged");
+        // Drop anything we were still waiting on
+        for (const request of this.#controlPoint.queue?.splice(0) ?? []) request.reject?.(error);
+        this.#dataSource.assembler?.cancel(error);
+        this.#notificationSource = {};
+        this.#controlPoint = {};
+        this.#dataSource = {};
+    }
+
+    /**
+     * Internal method to start watching the device's connection, so we can resubscribe when it comes back
+     * @returns {Promise<void>}
+     */
+    async #watchConnection() {
+        if (this.#watcher) return;
+        let bus = this.#getBus();
+        let bluez = await bus.getProxyObject("org.bluez", "/");
+        let manager = bluez.getInterface("org.freedesktop.DBus.ObjectManager");
+        let deviceObj = await bus.getProxyObject("org.bluez", this.#device.path);
+        let deviceProps = deviceObj.getInterface("org.freedesktop.DBus.Properties");
+
+        let watcher = {
+            manager,
+            deviceProps,
+            delay: this.#session.reconnect.initialDelay,
+            attempts: 0,
+            disconnected: false,
+            attempting: false,
+            // Bluez tells us about the connection itself...
+            onDeviceChanged: (iface, changed) => {
+                if (iface != "org.bluez.Device1") return;
+                if (changed.Connected?.value === false) this.#handleDisconnect();
+                else if (changed.ServicesResolved?.value === true) this.#scheduleReconnect(RECONNECT_DEBOUNCE);
+            },
+            // ...and about the characteristics coming and going
+            onInterfacesAdded: (path, interfaces) => {
+                if (interfaces["org.bluez.GattCharacteristic1"] && this.#matchMacInPath(path, this.MACAddress)) this.#scheduleReconnect(RECONNECT_DEBOUNCE);
+            },
+            onInterfacesRemoved: (path, interfaces) => {
+                let paths = [this.#notificationSource.path, this.#controlPoint.path, this.#dataSource.path];
+                if (interfaces.includes("org.bluez.GattCharacteristic1") && paths.includes(path)) this.#handleDisconnect();
+            },
+        };
+        deviceProps.on("PropertiesChanged", watcher.onDeviceChanged);
+        manager.on("InterfacesAdded", watcher.onInterfacesAdded);
+        manager.on("InterfacesRemoved", watcher.onInterfacesRemoved);
+        this.#watcher = watcher;
+    }
+
+    /**
+     * Internal method to stop watching the device's connection
+     * @returns {Boolean} If we were watching it
+     */
+    #unwatchConnection() {
+        let watcher = this.#watcher;
+        if (!watcher) return false;
+        watcher.deviceProps.off("PropertiesChanged", watcher.onDeviceChanged);
+        watcher.manager.off("InterfacesAdded", watcher.onInterfacesAdded);
+        watcher.manager.off("InterfacesRemoved", watcher.onInterfacesRemoved);
+        clearTimeout(watcher.timer);
+        this.#watcher = undefined;
+        return true;
+    }
 
-        // Get data source interface and notify
-        const dataObj = await bus.getProxyObject("org.bluez", this.#dataSource.path);
-        const dataChar = dataObj.getInterface('org.bluez.GattCharacteristic1');
+    /**
+     * Internal method for when the device goes away
+     */
+    #handleDisconnect() {
+        let watcher = this.#watcher;
+        if (!watcher || watcher.disconnected) return;
+        watcher.disconnected = true;
+        this.#teardown(new Error("Device disconnected"));
+        // Remember what we had, so we can work out what was removed while we were away
+        clearTimeout(this.#reconciling?.timer);
+        this.#reconciling = { missing: new Set(Object.keys(this.notifications)) };
+        /**
+         * @event ANCSClient#disconnected The device has disconnected. The client will try to reconnect.
+         * @type {String} The MAC Address that disconnected.
+         */
+        this.emit("disconnected", this.MACAddress);
+        this.#scheduleReconnect(watcher.delay);
+    }
+
+    /**
+     * Internal method to (re)schedule a reconnection attempt
+     * @param {Number} delay How long to wait, in milliseconds
+     */
+    #scheduleReconnect(delay) {
+        let watcher = this.#watcher;
+        if (!watcher?.disconnected) return;
+        clearTimeout(watcher.timer);
+        watcher.timer = setTimeout(() => this.#attemptReconnect(), delay);
+    }
+
+    /**
+     * Internal method to try resubscribing to the device, backing off if it isn't back yet
+     * @returns {Promise<void>}
+     */
+    async #attemptReconnect() {
+        let watcher = this.#watcher;
+        if (!watcher?.disconnected || watcher.attempting) return;
+        watcher.attempting = true;
+        let subscribed;
         try {
-            await dataChar.StartNotify();
-        } catch(e) {
-            throw new Error("Couldn't start notify on DataSource. " + e);
+            subscribed = await this.#subscribe();
+        } catch (e) {
+            subscribed = false;
         }
-        const dataProps = dataObj.getInterface('org.freedesktop.DBus.Properties');
-        this.#dataSource.listener = dataProps.on("PropertiesChanged", async (iface, changed) => {
-            // If a change is detected
-            if (changed.Value?.value) {
-                let data = Buffer.from(changed.Value.value);
-                // Data must be from GetNotificationAttributes command
-                if (data[0] == 0) {
-                    let notificationID = data.subarray(1, 4).toString("hex"),
-                        appID, title, subtitle, body, date;
-                    if (!noparse) {
-                        // Set our offset from 5, it's the start of the real content.
-                        let offset = 5;
-                        // App ID
-                        if (data[offset] == 0) {
-                            // Use the provided length of the App ID
-                            let appIdLength = data.readUInt16LE(offset + 1);
-                            let appIDStart = offset + 3;
-                            let appIDEnd = appIDStart + appIdLength;
-                            let appIDBuf = data.subarray(appIDStart, appIDEnd);
-                            // If null-terminated remove the trailing 0
-                            if (appIDBuf.length > 0 && appIDBuf[appIDBuf.length - 1] == 0) appIDBuf = appIDBuf.subarray(0, appIDBuf.length - 1);
-                            appID = appIDBuf.toString();
-                            offset = appIDEnd;
-                        }
-                        // Notification title
-                        if (data[offset] == 1) {
-                            let titleLength = data.readUInt16LE(offset + 1);
-                            let titleStart = offset + 3;
-                            let titleEnd = titleStart + titleLength;
-                            let titleBuf = data.subarray(titleStart, titleEnd);
-                            if (titleBuf.length > 0 && titleBuf[titleBuf.length - 1] === 0) titleBuf = titleBuf.subarray(0, titleBuf.length - 1);
-                            title = titleBuf.toString();
-                            offset = titleEnd;
-                        }
-                        // Notification subtitle
-                        if (data[offset] == 2) {
-                            let subtitleLength = data.readUInt16LE(offset + 1);
-                            let subStart = offset + 3;
-                            let subEnd = subStart + subtitleLength;
-                            let subBuf = data.subarray(subStart, subEnd);
-                            if (subBuf.length > 0 && subBuf[subBuf.length - 1] === 0) subBuf = subBuf.subarray(0, subBuf.length - 1);
-                            subtitle = subBuf.toString();
-                            offset = subEnd;
-                        }
-                        // And the body
-                        if (data[offset] == 3) {
-                            let bodyLength = data.readUInt16LE(offset + 1);
-                            let bodyStart = offset + 3;
-                            let bodyEnd = bodyStart + bodyLength;
-                            let bodyBuf = data.subarray(bodyStart, bodyEnd);
-                            if (bodyBuf.length > 0 && bodyBuf[bodyBuf.length - 1] === 0) bodyBuf = bodyBuf.subarray(0, bodyBuf.length - 1);
-                            body = bodyBuf.toString();
-                            offset = bodyEnd;
-                        }
-                        // And finally the date
-                        if (data[offset] == 5) {
-                            const dateLength = data.readUInt16LE(offset + 1);
-                            const dateStart = offset + 3;
-                            const dateEnd = dateStart + dateLength;
-                            let dateBuf = data.subarray(dateStart, dateEnd);
-                            if (dateBuf.length > 0 && dateBuf[dateBuf.length - 1] === 0) dateBuf = dateBuf.subarray(0, dateBuf.length - 1);
-                            // Pull out date from weirdly formatted string
-                            let dateStringMatched = dateBuf.toString().match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})$/);
-                            if (dateStringMatched) {
-                                const [, year, month, day, hour, minute, second] = dateStringMatched;
-                                date = new Date(Number(year), Number(month), Number(day), Number(hour), Number(minute), Number(second));
-                            } else {
-                                date = dateBuf.toString(); // As a backup
-                            }
-                            offset = dateEnd;
-                        }
-                    }
+        watcher.attempting = false;
+        // We may have been stopped in the meantime
+        if (this.#watcher !== watcher) {
+            if (subscribed) this.#teardown(new Error("Stopped listening"));
+            return;
+        }
+        if (!subscribed) {
+            if (++watcher.attempts >= this.#session.reconnect.maxAttempts) return this.#giveUpReconnecting();
+            watcher.delay = Math.min(watcher.delay * 2, this.#session.reconnect.maxDelay);
+            return this.#scheduleReconnect(watcher.delay);
+        }
+        watcher.disconnected = false;
+        watcher.delay = this.#session.reconnect.initialDelay;
+        watcher.attempts = 0;
+        this.#armReconciliation();
+        /**
+         * @event ANCSClient#reconnected The device has reconnected, and notifications are being received again.
+         * @type {String} The MAC Address that reconnected.
+         */
+        this.emit("reconnected", this.MACAddress);
+    }
 
-                    // Put together notification data
-                    let notificationobj = new ANCSNotification(data, notificationID, title, subtitle, body, appID, date);
-                    if (!this.notifications[notificationID]) {
-                        // If we don't have it already, emit create event
-                        /**
-                        * @event ANCSClient#created A notification has been created
-                        * @type {ANCSNotification} The new notification content and details.
-                        */
-                        this.emit("created", notificationobj);
-                    } else {
-                        // Just edited, so send the edited event
-                        /**
-                        * @event ANCSClient#edited A notification has been changed
-                        * @type {ANCSNotification} The new notification content and details.
-                        */
-                        this.emit("edited", notificationobj);
-                    }
-                    this.notifications[notificationID] = notificationobj
-                }
+    /**
+     * Internal method to stop listening once every attempt to reconnect has failed
+     */
+    #giveUpReconnecting() {
+        let attempts = this.#watcher.attempts;
+        this.#unwatchConnection();
+        this.#cancelReconciliation();
+        this.#emitError(new Error(`Gave up reconnecting after ${attempts} attempts`));
+        this.emit("stop", this.MACAddress);
+    }
+
+    /**
+     * Internal method to (re)start the reconciliation timer. Once iOS has stopped sending us its notifications,
+     * anything we haven't heard about must have been removed while we were disconnected.
+     */
+    #armReconciliation() {
+        let reconciling = this.#reconciling;
+        if (!reconciling || this.#watcher?.disconnected) return;
+        clearTimeout(reconciling.timer);
+        reconciling.timer = setTimeout(() => {
+            this.#reconciling = undefined;
+            for (const notificationID of reconciling.missing) {
+                if (!this.notifications[notificationID]) continue;
+                this.#record("removed", notificationID);
+                this.emit("removed", notificationID);
+                delete (this.notifications[notificationID]);
             }
-        });
+        }, this.#session.reconnect?.settleTime ?? SETTLE_TIME);
+    }
 
-        /**
-         * @event ANCSClient#start Starts listening for device notifications
-         * @type {String} The MAC Address that started.
-         */
-        this.emit("start", this.MACAddress);
-        return true;
+    /**
+     * Internal method to stop the reconciliation timer, so nothing is removed (or recorded as removed) after we've stopped listening
+     */
+    #cancelReconciliation() {
+        clearTimeout(this.#reconciling?.timer);
+        this.#reconciling = undefined;
     }
 
     /**
@@ -415,28 +1265,358 @@ class ANCSClient extends EventEmitter {
      * @deprecated When testing, this wasn't actually needed.
      */
     async stopListening() {
-        if (!this.#notificationSource.path || !this.#dataSource.path || !this.#controlPoint.path) return false;
-        let bus = dbus.systemBus();
-        const notifObj = await bus.getProxyObject('org.bluez', this.#notificationSource.path);
-        const notifChar = notifObj.getInterface('org.bluez.GattCharacteristic1');
-        await notifChar.StopNotify();
-        this.#notificationSource.listener.removeAllListeners("PropertiesChanged");
-        delete (this.#notificationSource.path);
-        const dataObj = await bus.getProxyObject('org.bluez', this.#dataSource.path);
-        const dataChar = dataObj.getInterface('org.bluez.GattCharacteristic1');
-        await dataChar.StopNotify();
-        this.#dataSource.listener.removeAllListeners("PropertiesChanged");
+        this.#cancelReconciliation();
+        if (this.#replaying) {
+            // There's no device to unsubscribe from, just the replay to wake up
+            this.#replaying.stopped = true;
+            clearTimeout(this.#replaying.timer);
+            this.#replaying.wake?.();
+            this.#replaying = undefined;
+            this.#teardown(new Error("Stopped listening"));
+            this.emit("stop", this.MACAddress);
+            return true;
+        }
+        let wasWatching = this.#unwatchConnection();
+        if (!this.#notificationSource.path || !this.#dataSource.path || !this.#controlPoint.path) {
+            // If we're waiting for the device to come back there's nothing to unsubscribe from
+            if (!wasWatching) return false;
+        } else {
+            let bus = this.#getBus();
+            try {
+                const notifObj = await bus.getProxyObject('org.bluez', this.#notificationSource.path);
+                const notifChar = notifObj.getInterface('org.bluez.GattCharacteristic1');
+                await notifChar.StopNotify();
+                const dataObj = await bus.getProxyObject('org.bluez', this.#dataSource.path);
+                const dataChar = dataObj.getInterface('org.bluez.GattCharacteristic1');
+                await dataChar.StopNotify();
+            } finally {
+                this.#teardown(new Error("Stopped listening"));
+            }
+        }
         /**
          * @event ANCSClient#stop Stops listening for device notifications
          * @type {String} The MAC Address that stopped.
          */
         this.emit("stop", this.MACAddress);
-        delete (this.#dataSource.path);
-        delete (this.#controlPoint.path);
         return true;
     }
 
+    /**
+     * Plays back a capture made with the `recorder` option, as if it were coming from the device, without any Bluetooth.
+     * Values go through the same parsing, Control Point queue and rules as when listening, so the same events are emitted (including `start` and `stop`).
+     * Control Point writes are checked against the ones in the capture, and answered the same way (failing if they failed).
+     * ```js
+     * let replay = new ANCSClient("01:23:45:67:89:AB");
+     * replay.on("created", (notification) => console.log(notification.toReadableString(" | ")));
+     * await replay.replay("capture.ndjson", { speed: 1 });
+     * ```
+     * Use the same `attributes` and rules the capture was made with, or the replay will ask for things the capture doesn't have the answers to.
+     * Any writes that differ from the capture are emitted as errors.
+     * @param {String|import("./capture.js").CaptureEntry[]} capture The path of a capture file, or its entries
+     * @param {ANCSClientOptions & {speed?: Number}} [options] Overrides the options given to the constructor, like `.startListening()` (but `reconnect` and `recorder` are ignored).
+     * `speed` is how fast to play it back: 1 is as it happened, 2 is twice as fast, and 0 (the default) is as fast as possible.
+     * @throws {Error} If already listening, the options are invalid or the capture can't be read
+     * @returns {Promise<void>} Resolves once everything in the capture has been played back (and the client has stopped), or `.stopListening()` is called
+     */
+    async replay(capture, options) {
+        if (this.#controlPoint.enqueue) throw new Error("Already listening. Call .stopListening() first");
+        let speed = options?.speed ?? 0;
+        if (typeof speed != "number" || !(speed >= 0)) throw new Error("Replay speed must be a number, 0 or above");
+        if (typeof capture == "string") capture = await loadCapture(capture);
+        this.#session = { ...this.#parseOptions(options, this.#options), reconnect: false, recorder: undefined };
+
+        // Control Point writes are answered from the capture, in order. Failures follow the write that failed.
+        let writes = [];
+        for (const entry of capture) {
+            if (entry.characteristic != "ControlPoint") continue;
+            if (entry.direction == "out") writes.push({ value: entry.value });
+            else if (writes.length > 0) writes[writes.length - 1].error = entry.error;
+        }
+        let replaying = { stopped: false };
+        this.#replaying = replaying;
+        const handlers = this.#listen(async (command) => {
+            let write = writes.shift();
+            if (!write?.value?.equals(command)) {
+                this.#emitError(new Error(`The replay wrote ${command.toString("hex")} to the Control Point, but the capture has ${write?.value?.toString("hex") ?? "nothing more"}. Check the options and rules match the ones it was captured with`));
+            }
+            if (write?.error) throw new Error(write.error);
+        });
+        this.emit("start", this.MACAddress);
+
+        let previous;
+        for (const entry of capture) {
+            if (entry.direction != "in" || !entry.value) continue;
+            // Keep the gaps between values, or at least give the last one a chance to be handled
+            let delay = speed > 0 && previous ? (entry.time - previous) / speed : 0;
+            await new Promise((resolve) => {
+                replaying.wake = resolve;
+                if (delay > 0) replaying.timer = setTimeout(resolve, delay);
+                else setImmediate(resolve);
+            });
+            previous = entry.time;
+            if (replaying.stopped) return;
+            if (entry.characteristic == "NotificationSource") handlers.notificationSource(entry.value);
+            else if (entry.characteristic == "DataSource") handlers.dataSource(entry.value);
+        }
+        // Let anything still being fetched finish (or time out)
+        await handlers.drained();
+        if (!replaying.stopped) await this.stopListening();
+    }
 
+    /**
+     * Advertises this device over BLE, soliciting the ANCS, so an iPhone can find it in its Bluetooth settings and connect to it directly.
+     * A minimal GATT application is registered alongside it, through the same bus as the client.
+     * @param {Object} [options]
+     * @param {String} [options.name] The name to advertise. Keep it short (8 characters or so), as advertisements only have room for 31 bytes. Defaults to "ancs-js".
+     * @param {String} [options.adapter] The Bluez object path of the adapter to advertise on, e.g. `/org/bluez/hci0`. Defaults to the first that supports advertising.
+     * @throws {Error} If already advertising, there's no adapter that can advertise, or Bluez refuses the advertisement
+     * @returns {Promise<void>}
+     */
+    async advertise(options) {
+        if (this.#advertisement) throw new Error("Already advertising. Call .stopAdvertising() first");
+        let advertisement = new ANCSAdvertisement(this.#getBus(), options);
+        await advertisement.start();
+        this.#advertisement = advertisement;
+    }
+
+    /**
+     * Stops advertising this device
+     * @returns {Promise<boolean>} False if we weren't advertising
+     */
+    async stopAdvertising() {
+        let advertisement = this.#advertisement;
+        if (!advertisement) return false;
+        this.#advertisement = undefined;
+        return advertisement.stop();
+    }
+
+    /**
+     * Registers a Bluez pairing agent through the same bus as the client, so the iPhone can bond with this device (the ANCS requires it).
+     * Listen for the agent's `pairingRequest` event (or pass `onPairingRequest`) to approve pairings.
+     * @param {import("./agent.js").ANCSAgentOptions} [options] How pairing should work
+     * @throws {Error} If an agent is already registered, or Bluez refuses it
+     * @returns {Promise<ANCSAgent>} The registered agent
+     */
+    async registerAgent(options) {
+        if (this.#agent) throw new Error("A pairing agent is already registered. Call .unregisterAgent() first");
+        let agent = new ANCSAgent(this.#getBus(), options);
+        await agent.register();
+        this.#agent = agent;
+        return agent;
+    }
+
+    /**
+     * Unregisters the pairing agent
+     * @returns {Promise<boolean>} False if no agent was registered
+     */
+    async unregisterAgent() {
+        let agent = this.#agent;
+        if (!agent) return false;
+        this.#agent = undefined;
+        return agent.unregister();
+    }
+
+    /**
+     * Fetches attributes for a notification from the ANCS, e.g. the full body after only fetching the title.
+     * The request waits its turn in the same queue as the automatic fetches.
+     * @param {String} id The ID of the notification, as a hex string
+     * @param {Array<Number|{id: Number, maxLength?: Number}>} attributes The attributes to fetch (see `NotificationAttributeID`).
+     * Title, Subtitle and Message can be given a `maxLength` in bytes.
+     * @throws {ClientError} If not listening
+     * @throws {Error} If the response doesn't arrive
+     * @throws {ControlPointError} If the ANCS refuses the request (e.g. the notification has since been removed)
+     * @throws {ProtocolError} If the ID or attributes are invalid, or the response is malformed
+     * @returns {Promise<ANCSNotification>} The notification with the fetched attributes added. The notification cache is updated too,
+     * but as nothing changed on the device, `edited` isn't emitted and nothing is recorded in the history.
+     */
+    async fetchAttributes(id, attributes) {
+        let request = notificationAttributeRequest(id, attributes);
+        if (!this.#controlPoint.enqueue) throw new ClientError(ClientErrorCode.NotListening, "Not listening to this device. Call .startListening() first");
+        let response = await new Promise((resolve, reject) => this.#controlPoint.enqueue({ ...request, resolve, reject }));
+        let { attributes: fetched } = codec.decodeNotificationAttributes(response, request.attributeIDs);
+        // Add what we've just received on top of what we already had. The raw data stays as it was sent, so it can still be told apart from
+        // what iOS sends again when we resubscribe.
+        let previous = this.notifications[id];
+        let notification = new ANCSNotification(previous?.raw ?? response, id, { ...previous?.attributes, ...fetched }, previous, this);
+        this.notifications[id] = notification;
+        return notification;
+    }
+
+    /**
+     * Gets the display name of an app (e.g. "Messages" for `com.apple.MobileSMS`) using the GetAppAttributes command.
+     * Names are kept in the `appNames` cache, so each app is only fetched once (and only asked for once while a request is on its way).
+     * If the `appNameCache` option is set, the cache is saved there too.
+     * @param {String} appID The app identifier
+     * @throws {ClientError} If not listening
+     * @throws {Error} If no response arrives (some iOS versions don't support this)
+     * @throws {ControlPointError} If the ANCS refuses the request (e.g. the app is unknown)
+     * @throws {ProtocolError} If the app ID is invalid, or the response is malformed
+     * @returns {Promise<String>} The app's display name
+     */
+    async getAppName(appID) {
+        if (!appID) throw new Error("No app ID provided");
+        if (this.appNames[appID]) return this.appNames[appID];
+        let pending = this.#appNameRequests.get(appID);
+        if (pending) return pending;
+        pending = this.#fetchAppName(appID).finally(() => this.#appNameRequests.delete(appID));
+        this.#appNameRequests.set(appID, pending);
+        return pending;
+    }
+
+    /**
+     * Internal method to fetch an app's display name from the ANCS, and cache it
+     * @param {String} appID
+     * @returns {Promise<String>}
+     */
+    async #fetchAppName(appID) {
+        let request = appAttributeRequest(appID);
+        if (!this.#controlPoint.enqueue) throw new ClientError(ClientErrorCode.NotListening, "Not listening to this device. Call .startListening() first");
+        let response;
+        try {
+            response = await new Promise((resolve, reject) => this.#controlPoint.enqueue({ ...request, resolve, reject }));
+        } catch (e) {
+            if (e instanceof ControlPointError || e instanceof ProtocolError) throw e;
+            throw new Error(`Couldn't get app attributes for ${appID}. Your iOS version may not support fetching app attributes. ` + e.message);
+        }
+        let name = codec.decodeAppAttributes(response, request.attributeIDs).attributes[AppAttributeID.DisplayName];
+        if (!name) return "";
+        this.appNames[appID] = name;
+        if (this.#session.appNameCache) await this.saveAppNames(this.#session.appNameCache);
+        return name;
+    }
+
+    /**
+     * Loads app display names into the `appNames` cache from a JSON file (as written by `.saveAppNames()`)
+     * @param {String} file The path of the file to load from
+     * @throws {Error} If the file can't be read or isn't valid
+     * @returns {Promise<Object.<string, string>>} The updated cache
+     */
+    async loadAppNames(file) {
+        let names = JSON.parse(await fs.readFile(file, "utf8"));
+        if (typeof names != "object" || names === null || Array.isArray(names)) throw new Error("App name cache file is not valid");
+        for (const [appID, name] of Object.entries(names)) {
+            if (typeof name == "string") this.appNames[appID] = name;
+        }
+        return this.appNames;
+    }
+
+    /**
+     * Saves the `appNames` cache to a JSON file, so the names don't need fetching again after a restart.
+     * It's written to a temporary file first and then renamed, so the file is never left half written.
+     * @param {String} file The path of the file to save to
+     * @throws {Error} If the file can't be written
+     * @returns {Promise<void>}
+     */
+    saveAppNames(file) {
+        let saved = this.#savingAppNames.then(async () => {
+            let temp = file + ".tmp";
+            await fs.writeFile(temp, JSON.stringify(this.appNames, null, 2));
+            await fs.rename(temp, file);
+        });
+        this.#savingAppNames = saved.catch(() => {});
+        return saved;
+    }
+
+    /**
+     * Performs an action on a notification through the Control Point (e.g. accepting a call or dismissing a message)
+     * @param {String} id The ID of the notification, as a hex string
+     * @param {Number|"positive"|"negative"} action The action to perform (see `ActionID`)
+     * @throws {ClientError} If not listening, or the notification does not offer this action
+     * @throws {ControlPointError} If the ANCS refuses the action
+     * @throws {ProtocolError} If the ID or action is invalid
+     * @returns {Promise<void>}
+     */
+    async performAction(id, action) {
+        if (action === "positive") action = ActionID.Positive;
+        else if (action === "negative") action = ActionID.Negative;
+        let command = codec.encodePerformNotificationAction(id, action);
+        if (!this.#controlPoint.write) throw new ClientError(ClientErrorCode.NotListening, "Not listening to this device. Call .startListening() first");
+        // Refuse actions the notification doesn't offer, if we know about it
+        let notification = this.notifications[id];
+        if (notification) {
+            let flag = action === ActionID.Positive ? EventFlags.PositiveAction : EventFlags.NegativeAction;
+            if (!(notification.flags & flag)) throw new ClientError(ClientErrorCode.ActionNotOffered, `Notification ${id} has no ${action === ActionID.Positive ? "positive" : "negative"} action`);
+        }
+        try {
+            await this.#controlPoint.write(command);
+        } catch (e) {
+            throw toControlPointError(e);
+        }
+    }
+
+    /**
+     * Adds a rule, which is checked against every notification before `created` or `edited` is emitted.
+     * Rules run in priority order (highest first), and can stop the rules after them, mute notifications, or choose which attributes are fetched.
+     * ```js
+     * ancs.addRule({ appID: "com.apple.MobileSMS", bodyMatches: /urgent/i }, (notification) => beep(), { priority: 10, stop: true });
+     * // Don't fetch anything more than the app ID for these, and never emit them
+     * ancs.addRule({ appID: ["com.facebook.Facebook", "com.burbn.instagram"] }, null, { mute: true });
+     * // Only the title for email, and only at night
+     * ancs.addRule({ category: CategoryID.Email }, null, { attributes: [NotificationAttributeID.Title], quietHours: { start: "22:00", end: "07:00" } });
+     * ```
+     * Muting by `category` or `flags` alone means nothing is fetched at all; muting by `appID` fetches just the app ID. Rules that match on text need everything fetching first.
+     * @param {import("./rules.js").RuleMatch} match What the rule matches
+     * @param {?function(ANCSNotification, "created"|"edited"): void} [handler] Called with each matching notification. Can be null for rules that only mute or choose attributes.
+     * @param {import("./rules.js").RuleOptions} [options] The priority, whether to stop or mute, attributes, quiet hours and rate limit
+     * @throws {Error} If the match or options are invalid
+     * @throws {ProtocolError} If the attributes are invalid
+     * @returns {import("./rules.js").Rule} The rule, which can be passed to `.removeRule()`
+     */
+    addRule(match, handler, options) {
+        return this.#rules.add(match, handler, options, codec.normaliseAttributes);
+    }
+
+    /**
+     * Removes a rule added by `.addRule()`
+     * @param {import("./rules.js").Rule|Number} rule The rule, or its ID
+     * @returns {Boolean} False if there was no such rule
+     */
+    removeRule(rule) {
+        return this.#rules.remove(rule);
+    }
+
+    /**
+     * The rules added by `.addRule()`, in the order they run
+     * @type {import("./rules.js").Rule[]}
+     * @readonly
+     */
+    get rules() {
+        return this.#rules.rules;
+    }
+
+    /**
+     * Gets the created, edited and removed events as an async iterator, for `for await` loops.
+     * Events are buffered until they're read, up to `bufferSize`, and the iterator ends when the client stops listening.
+     * ```js
+     * let controller = new AbortController();
+     * for await (const { type, id, notification } of ancs.events({ signal: controller.signal, overflow: OverflowPolicy.DropOldest })) {
+     *     console.log(type, id, notification?.title);
+     * }
+     * ```
+     * Only events after this is called are included (look at `.notifications` for the ones before).
+     * @param {import("./stream.js").EventBufferOptions} [options] An AbortSignal, the buffer size and what to do when it overflows
+     * @throws {Error} If the options are invalid
+     * @returns {EventBuffer} An AsyncIterator of `{type, id, notification}`, with a count of the events it had to drop
+     */
+    events(options) {
+        return new EventBuffer(this, options);
+    }
+
+    /**
+     * Gets the created, edited and removed events as an object-mode Readable stream of `{type, id, notification}`, for piping elsewhere.
+     * It's the same as `.events()` underneath, so it's buffered the same way, and ends when the client stops listening.
+     * ```js
+     * await pipeline(ancs.createReadStream({ bufferSize: 50 }), toJSONLines, process.stdout);
+     * ```
+     * @param {import("./stream.js").EventBufferOptions} [options] An AbortSignal (which destroys the stream), the buffer size and what to do when it overflows
+     * @throws {Error} If the options are invalid
+     * @returns {Readable}
+     */
+    createReadStream(options) {
+        let { signal, ...bufferOptions } = options ?? {};
+        // Don't buffer more in the stream itself, so the buffer size means what it says
+        return Readable.from(this.events(bufferOptions), { objectMode: true, highWaterMark: 1, signal });
+    }
 }
 
-module.exports = { ANCSClient, ANCSNotification };
\ No newline at end of file
+module.exports = { ANCSClient, ANCSNotification, ControlPointError, ProtocolError, ClientError, findANCS, findANCSDevices, CharacteristicUUID, EventID, EventFlags, CategoryID, NotificationAttributeID, AppAttributeID, ActionID, ControlPointErrorCode, ProtocolErrorCode, ClientErrorCode, OverflowPolicy };
\ No newline at end of file
@@ -0,0 +1,273 @@
+const EventEmitter = require("node:events");
+const path = require("node:path");
+let dbus = require("dbus-next");
+const { ANCSClient, findANCSDevices } = require("./index.js");
+
+/**
+ * The ANCSClient events the manager passes along
+ * @type {String[]}
+ */
+const FORWARDED_EVENTS = ["start", "stop", "created", "edited", "removed", "disconnected", "reconnected", "error"];
+
+/**
+ * The client options that are files, which each device gets its own of
+ * @type {String[]}
+ */
+const DEVICE_FILE_OPTIONS = ["appNameCache", "history", "recorder"];
+
+/**
+ * How long to wait (in milliseconds) after a device's characteristics start appearing before checking it, so they can all arrive
+ * @type {Number}
+ */
+const DISCOVERY_DEBOUNCE = 500;
+
+/**
+ * A device that exposes the ANCS
+ * @typedef {Object} ANCSDevice
+ * @property {String} address The device's MAC address
+ * @property {String} name The device's name (its alias, if one has been set)
+ * @property {String} path The device's Bluez object path
+ */
+
+/**
+ * Options for an ANCSManager
+ * @typedef {Object} ANCSManagerOptions
+ * @property {dbus.MessageBus} [bus] A dbus-next bus to use instead of connecting to the system bus
+ * @property {import("./index.js").ANCSClientOptions} [clientOptions] Options given to each ANCSClient. `bus` is always the manager's, and `reconnect` is turned off, as the manager handles devices coming and going itself.
+ * Devices can't share files, so the `appNameCache`, `history` and `recorder` paths get the device's address added before the extension
+ * (`apps.json` becomes `apps-01_23_45_67_89_AB.json`), and they can only be paths, not objects.
+ */
+
+/**
+ * ANCS Manager Class
+ * @extends EventEmitter
+ * @fires ANCSManager#deviceAdded When a device with the ANCS appears and a client is created for it
+ * @fires ANCSManager#deviceRemoved When a device disappears and its client is removed
+ * @fires ANCSManager#created When any device receives a new notification
+ * @fires ANCSManager#edited When any device's notification has been changed
+ * @fires ANCSManager#removed When any device's notification has been removed
+ * @fires ANCSManager#error When listening to a device fails, or a device's client emits an error. Only emitted if there are listeners.
+ *
+ * Finds every paired iOS device that exposes the ANCS, and listens to them all over one bus connection:
+ * ```js
+ * let {ANCSManager} = require("ancsjs/manager");
+ * let manager = new ANCSManager();
+ * manager.on("created", (notification, device) => console.log(device.name, notification.title));
+ * await manager.start();
+ * ```
+ * Every ANCSClient event is passed along, with the device it came from as an extra argument.
+ */
+class ANCSManager extends EventEmitter {
+    /**
+     * The clients for each device being listened to, by MAC address
+     * @type {Object.<string, ANCSClient>}
+     */
+    clients = {};
+    /**
+     * The devices being listened to, by MAC address
+     * @type {Object.<string, ANCSDevice>}
+     */
+    devices = {};
+    #bus;
+    #ownsBus = false;
+    #clientOptions;
+    #watcher;
+    #pending = {};
+
+    /**
+     * Create an ANCS manager
+     * @param {ANCSManagerOptions} [options]
+     * @throws {Error} If a client option that's a file isn't a path
+     */
+    constructor(options) {
+        super(); // Set up event emitter
+        this.#bus = options?.bus;
+        this.#clientOptions = options?.clientOptions ?? {};
+        for (const option of DEVICE_FILE_OPTIONS) {
+            let value = this.#clientOptions[option];
+            if (value && typeof value != "string") throw new Error(`Client option "${option}" can't be shared between devices, so it must be a file path`);
+        }
+    }
+
+    /**
+     * Internal method to get the bus, connecting to the system bus the first time if one wasn't given
+     * @returns {dbus.MessageBus}
+     */
+    #getBus() {
+        if (!this.#bus) {
+            this.#bus = dbus.systemBus();
+            this.#ownsBus = true;
+        }
+        return this.#bus;
+    }
+
+    /**
+     * Lists the devices that currently expose the ANCS
+     * @throws {Error} If the Bluez objects couldn't be fetched
+     * @returns {Promise<ANCSDevice[]>}
+     */
+    async listDevices() {
+        let bluez = await this.#getBus().getProxyObject("org.bluez", "/");
+        let manager = bluez.getInterface("org.freedesktop.DBus.ObjectManager");
+        // The same check as ANCSClient.isSupported()
+        return findANCSDevices(await manager.GetManagedObjects());
+    }
+
+    /**
+     * Starts listening to every device with the ANCS, and to any that appear later
+     * @throws {Error} If the Bluez objects couldn't be fetched
+     * @returns {Promise<ANCSDevice[]>} The devices being listened to
+     */
+    async start() {
+        if (!this.#watcher) {
+            let bluez = await this.#getBus().getProxyObject("org.bluez", "/");
+            let manager = bluez.getInterface("org.freedesktop.DBus.ObjectManager");
+            let watcher = {
+                manager,
+                // Characteristics arrive one at a time, so wait for them to settle before checking the device
+                onInterfacesAdded: (path, interfaces) => {
+                    if (interfaces["org.bluez.GattCharacteristic1"] || interfaces["org.bluez.Device1"]) this.#scheduleDiscovery();
+                },
+                onInterfacesRemoved: (path, interfaces) => {
+                    if (!interfaces.includes("org.bluez.GattCharacteristic1") && !interfaces.includes("org.bluez.Device1")) return;
+                    for (const device of Object.values(this.devices)) {
+                        if (path == device.path || path.startsWith(device.path + "/")) this.#removeDevice(device.address);
+                    }
+                },
+            };
+            manager.on("InterfacesAdded", watcher.onInterfacesAdded);
+            manager.on("InterfacesRemoved", watcher.onInterfacesRemoved);
+            this.#watcher = watcher;
+        }
+        await this.#discover();
+        return Object.values(this.devices);
+    }
+
+    /**
+     * Stops listening to every device, and removes their clients
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (this.#watcher) {
+            this.#watcher.manager.off("InterfacesAdded", this.#watcher.onInterfacesAdded);
+            this.#watcher.manager.off("InterfacesRemoved", this.#watcher.onInterfacesRemoved);
+            clearTimeout(this.#watcher.timer);
+            this.#watcher = undefined;
+        }
+        await Promise.all(Object.keys(this.devices).map((address) => this.#removeDevice(address)));
+        if (this.#ownsBus) {
+            this.#bus.disconnect();
+            this.#bus = undefined;
+            this.#ownsBus = false;
+        }
+    }
+
+    /**
+     * Internal method to check for new devices shortly
+     */
+    #scheduleDiscovery() {
+        if (!this.#watcher) return;
+        clearTimeout(this.#watcher.timer);
+        this.#watcher.timer = setTimeout(() => this.#discover().catch((e) => this.#emitError(e)), DISCOVERY_DEBOUNCE);
+    }
+
+    /**
+     * Internal method to create clients for any devices that don't have one yet
+     * @returns {Promise<void>}
+     */
+    async #discover() {
+        for (const device of await this.listDevices()) {
+            if (this.devices[device.address] || this.#pending[device.address]) continue;
+            this.#pending[device.address] = true;
+            try {
+                await this.#addDevice(device);
+            } catch (e) {
+                this.#emitError(e, device);
+            } finally {
+                delete (this.#pending[device.address]);
+            }
+        }
+    }
+
+    /**
+     * Internal method to create a client for a device and start listening to it
+     * @param {ANCSDevice} device
+     * @returns {Promise<void>}
+     */
+    async #addDevice(device) {
+        let client = new ANCSClient(device.address, { ...this.#deviceOptions(device.address), bus: this.#getBus(), reconnect: false });
+        let forwarders = {};
+        for (const event of FORWARDED_EVENTS) {
+            // Errors are only passed along if anyone is listening, like the client's own
+            forwarders[event] = event == "error" ? (e) => this.#emitError(e, { address: device.address, name: device.name }) : (value) => this.emit(event, value, { address: device.address, name: device.name });
+            client.on(event, forwarders[event]);
+        }
+        this.clients[device.address] = client;
+        this.devices[device.address] = device;
+        let started;
+        try {
+            started = await client.startListening();
+        } finally {
+            if (!started) {
+                for (const event of FORWARDED_EVENTS) client.off(event, forwarders[event]);
+                delete (this.clients[device.address]);
+                delete (this.devices[device.address]);
+            }
+        }
+        if (!started) return;
+        /**
+         * @event ANCSManager#deviceAdded A device has appeared and is being listened to
+         * @type {ANCSDevice} The device
+         */
+        this.emit("deviceAdded", device);
+    }
+
+    /**
+     * Internal method to get the client options for a device, with its own files
+     * @param {String} address The device's MAC address
+     * @returns {import("./index.js").ANCSClientOptions}
+     */
+    #deviceOptions(address) {
+        let options = { ...this.#clientOptions };
+        for (const option of DEVICE_FILE_OPTIONS) {
+            if (!options[option]) continue;
+            let { dir, name, ext } = path.parse(options[option]);
+            options[option] = path.join(dir, `${name}-${address.replace(/:/g, "_")}${ext}`);
+        }
+        return options;
+    }
+
+    /**
+     * Internal method to stop listening to a device and remove its client
+     * @param {String} address The device's MAC address
+     * @returns {Promise<void>}
+     */
+    async #removeDevice(address) {
+        let client = this.clients[address], device = this.devices[address];
+        if (!client) return;
+        delete (this.clients[address]);
+        delete (this.devices[address]);
+        try {
+            await client.stopListening();
+        } catch (e) {
+            // The device has probably gone already, which is fine
+        }
+        client.removeAllListeners();
+        /**
+         * @event ANCSManager#deviceRemoved A device has disappeared and its client has been removed
+         * @type {ANCSDevice} The device
+         */
+        this.emit("deviceRemoved", device);
+    }
+
+    /**
+     * Internal method to pass along an error, if anyone is listening for them
+     * @param {Error} error
+     * @param {ANCSDevice} [device] The device the error came from
+     */
+    #emitError(error, device) {
+        if (this.listenerCount("error") > 0) this.emit("error", error, device);
+    }
+}
+
+module.exports = { ANCSManager };
@@ -0,0 +1,310 @@
+/**
+ * What a rule matches. Every property given must match; leave them all out to match every notification.
+ * @typedef {Object} RuleMatch
+ * @property {String|RegExp|String[]} [appID] The app the notification came from
+ * @property {Number|Number[]} [category] The category (see `CategoryID`)
+ * @property {Number} [flags] EventFlags that must all be set, e.g. `EventFlags.Important`
+ * @property {String|RegExp} [titleMatches] Text (ignoring case) or a pattern the title must contain
+ * @property {String|RegExp} [subtitleMatches] Text (ignoring case) or a pattern the subtitle must contain
+ * @property {String|RegExp} [bodyMatches] Text (ignoring case) or a pattern the body must contain
+ */
+
+/**
+ * How a rule behaves
+ * @typedef {Object} RuleOptions
+ * @property {Number} [priority] Rules with a higher priority run first. Rules with the same priority run in the order they were added. Defaults to 0.
+ * @property {Boolean} [stop] Don't run any more rules after this one matches. Defaults to False.
+ * @property {Boolean} [mute] Mute matching notifications: no `created` or `edited` events, no more rules, and nothing more is fetched than is needed to match. Defaults to False.
+ * @property {Array<Number|{id: Number, maxLength?: Number}>} [attributes] The attributes to fetch for matching notifications, instead of the client's `attributes` option.
+ * @property {{start: String, end: String}} [quietHours] Only apply the rule between these (local) times, e.g. `{ start: "22:00", end: "07:00" }`
+ * @property {{count: Number, interval: Number, then?: "skip"|"mute"}} [rateLimit] Apply the rule at most `count` times per app in every `interval` milliseconds.
+ * Once over the limit, the rule is skipped, or with `then: "mute"` the notification is muted instead (only what's let through counts towards the limit).
+ */
+
+/**
+ * A rule, as returned by `addRule()`
+ * @typedef {Object} Rule
+ * @property {Number} id
+ * @property {RuleMatch} match
+ * @property {?function(import("./index.js").ANCSNotification, "created"|"edited"): void} handler
+ * @property {Number} priority
+ * @property {Boolean} stop
+ * @property {Boolean} mute
+ * @property {{id: Number, maxLength?: Number}[]} [attributes]
+ * @property {{start: String, end: String}} [quietHours]
+ * @property {{count: Number, interval: Number, then?: "skip"|"mute"}} [rateLimit]
+ */
+
+/**
+ * What to do about a notification before its attributes are fetched
+ * @typedef {Object} RulePlan
+ * @property {Boolean} [mute] Don't fetch anything, the notification is muted
+ * @property {Boolean} [needsAppID] A rule needs the app ID to decide, so fetch that first and plan again
+ * @property {{id: Number, maxLength?: Number}[]} [attributes] The attributes to fetch, if not the usual ones
+ */
+
+/**
+ * The properties a RuleMatch can have
+ * @type {String[]}
+ */
+const MATCH_KEYS = ["appID", "category", "flags", "titleMatches", "subtitleMatches", "bodyMatches"];
+
+/**
+ * Internal function to read a time of day like "22:00" into minutes after midnight
+ * @param {String} time
+ * @throws {Error} If the time isn't valid
+ * @returns {Number}
+ */
+function minutesOfDay(time) {
+    let matched = typeof time == "string" && time.match(/^(\d{1,2}):(\d{2})$/);
+    if (!matched || Number(matched[1]) > 23 || Number(matched[2]) > 59) throw new Error(`Quiet hours time "${time}" is invalid. It should be like "22:00"`);
+    return Number(matched[1]) * 60 + Number(matched[2]);
+}
+
+/**
+ * Internal function to check some text against a matcher
+ * @param {String|RegExp} matcher
+ * @param {String} [text] Undefined if it hasn't been fetched
+ * @returns {Boolean|undefined} Undefined if there's no text to check yet
+ */
+function matchText(matcher, text) {
+    if (text === undefined) return undefined;
+    if (matcher instanceof RegExp) {
+        // Global and sticky patterns remember where they got to, which would make matching depend on the last notification
+        matcher.lastIndex = 0;
+        return matcher.test(String(text));
+    }
+    return String(text).toLowerCase().includes(String(matcher).toLowerCase());
+}
+
+/**
+ * Internal function to check an app ID against a matcher
+ * @param {String|RegExp|String[]} matcher
+ * @param {String} [appID] Undefined if it hasn't been fetched
+ * @returns {Boolean|undefined} Undefined if there's no app ID to check yet
+ */
+function matchAppID(matcher, appID) {
+    if (appID === undefined) return undefined;
+    if (matcher instanceof RegExp) {
+        matcher.lastIndex = 0;
+        return matcher.test(appID);
+    }
+    if (Array.isArray(matcher)) return matcher.includes(appID);
+    return matcher == appID;
+}
+
+/**
+ * A set of rules, run in priority order against each notification.
+ *
+ * You'll usually want `ANCSClient.addRule()` rather than using this directly.
+ */
+class RuleSet {
+    #rules = [];
+    #nextID = 1;
+    #now;
+    #hits = new Map();
+
+    /**
+     * @param {Object} [options]
+     * @param {function(): Date} [options.now] Gets the current time, for quiet hours and rate limits. Defaults to the clock.
+     */
+    constructor(options) {
+        this.#now = options?.now ?? (() => new Date());
+    }
+
+    /**
+     * The rules, in the order they run
+     * @type {Rule[]}
+     * @readonly
+     */
+    get rules() {
+        return [...this.#rules];
+    }
+
+    /**
+     * Adds a rule
+     * @param {RuleMatch} match What the rule matches
+     * @param {?function(import("./index.js").ANCSNotification, "created"|"edited"): void} handler Called with each matching notification. Can be left out for rules that only mute or choose attributes.
+     * @param {RuleOptions} [options]
+     * @param {function(Array): Array} [normaliseAttributes] Tidies the `attributes` option
+     * @throws {Error} If the match or options are invalid
+     * @returns {Rule}
+     */
+    add(match, handler, options, normaliseAttributes) {
+        if (typeof match != "object" || match === null) throw new Error("Rule match must be an object");
+        // A misspelt key would otherwise be ignored, matching everything
+        for (const key of Object.keys(match)) {
+            if (!MATCH_KEYS.includes(key)) throw new Error(`Rule can't match on "${key}", only ${MATCH_KEYS.map((known) => `"${known}"`).join(", ")}`);
+        }
+        if (handler !== undefined && handler !== null && typeof handler != "function") throw new Error("Rule handler must be a function");
+        if (options?.quietHours) {
+            minutesOfDay(options.quietHours.start);
+            minutesOfDay(options.quietHours.end);
+        }
+        if (options?.rateLimit && !(options.rateLimit.count >= 0 && options.rateLimit.interval > 0)) throw new Error("Rule rate limit needs a count and an interval");
+        if (options?.rateLimit?.then !== undefined && options.rateLimit.then != "skip" && options.rateLimit.then != "mute") throw new Error(`Rule rate limit can't "${options.rateLimit.then}", only "skip" or "mute"`);
+        let rule = {
+            id: this.#nextID++,
+            match: { ...match },
+            handler: handler ?? null,
+            priority: options?.priority ?? 0,
+            stop: options?.stop ?? false,
+            mute: options?.mute ?? false,
+            attributes: options?.attributes && normaliseAttributes ? normaliseAttributes(options.attributes) : options?.attributes,
+            quietHours: options?.quietHours,
+            rateLimit: options?.rateLimit,
+        };
+        this.#rules.push(rule);
+        // Highest priority first. Sorting is stable, so rules with the same priority keep the order they were added in.
+        this.#rules.sort((a, b) => b.priority - a.priority);
+        return rule;
+    }
+
+    /**
+     * Removes a rule
+     * @param {Rule|Number} rule The rule, or its ID
+     * @returns {Boolean} False if there was no such rule
+     */
+    remove(rule) {
+        let id = typeof rule == "number" ? rule : rule?.id;
+        let index = this.#rules.findIndex((existing) => existing.id == id);
+        if (index == -1) return false;
+        this.#rules.splice(index, 1);
+        for (const key of this.#hits.keys()) {
+            if (key.startsWith(id + "/")) this.#hits.delete(key);
+        }
+        return true;
+    }
+
+    /**
+     * Works out what to fetch for a notification, from what's known before fetching its attributes
+     * @param {{category: Number, flags: Number, appID?: String}} event The Notification Source details, and the app ID if it's been fetched
+     * @returns {RulePlan}
+     */
+    plan(event) {
+        for (const rule of this.#rules) {
+            // Rules that don't mute, stop or choose attributes don't change what's fetched
+            if (!rule.mute && !rule.stop && !rule.attributes && !this.#mutesOverLimit(rule)) continue;
+            let matched = this.#matches(rule, event);
+            if (matched === false) continue;
+            // Rate limits are per app, so one that mutes can't be checked without it
+            if (matched === undefined || (this.#mutesOverLimit(rule) && event.appID === undefined)) {
+                // Only the app ID is worth fetching early, anything else needs everything fetching anyway
+                let textMatchers = rule.match.titleMatches !== undefined || rule.match.subtitleMatches !== undefined || rule.match.bodyMatches !== undefined;
+                return !textMatchers && event.appID === undefined ? { needsAppID: true } : {};
+            }
+            // Muted by the limit doesn't count towards it, so the rule applies again once it's under
+            if (this.#mutesOverLimit(rule) && this.#isLimited(rule, event.appID)) return { mute: true };
+            if (rule.mute) {
+                this.#hit(rule, event.appID);
+                return { mute: true };
+            }
+            if (rule.attributes) return { attributes: rule.attributes };
+            if (rule.stop) return {};
+        }
+        return {};
+    }
+
+    /**
+     * Runs the rules against a notification, calling the handlers of those that match
+     * @param {import("./index.js").ANCSNotification} notification
+     * @param {"created"|"edited"} type
+     * @param {function(Error): void} [onError] Called if a handler throws
+     * @returns {{muted: Boolean}} Whether a rule muted the notification
+     */
+    run(notification, type, onError) {
+        for (const rule of this.#rules) {
+            // Anything not fetched can't match
+            if (!this.#matches(rule, notification)) continue;
+            if (this.#mutesOverLimit(rule) && this.#isLimited(rule, notification.appID)) return { muted: true };
+            this.#hit(rule, notification.appID);
+            if (rule.handler) {
+                try {
+                    let result = rule.handler(notification, type);
+                    if (typeof result?.catch == "function") result.catch((e) => onError?.(e));
+                } catch (e) {
+                    onError?.(e);
+                }
+            }
+            if (rule.mute) return { muted: true };
+            if (rule.stop) break;
+        }
+        return { muted: false };
+    }
+
+    /**
+     * Internal method to check a rule against what's known about a notification
+     * @param {Rule} rule
+     * @param {{category: Number, flags: Number, appID?: String, title?: String, subtitle?: String, body?: String}} details
+     * @returns {Boolean|undefined} Undefined if it can't be told yet (something it needs hasn't been fetched)
+     */
+    #matches(rule, details) {
+        if (!this.#isActive(rule) || (!this.#mutesOverLimit(rule) && this.#isLimited(rule, details.appID))) return false;
+        let { match } = rule;
+        if (match.category !== undefined && ![match.category].flat().includes(details.category)) return false;
+        if (match.flags !== undefined && (details.flags & match.flags) != match.flags) return false;
+        let results = [
+            match.appID !== undefined ? matchAppID(match.appID, details.appID) : true,
+            match.titleMatches !== undefined ? matchText(match.titleMatches, details.title) : true,
+            match.subtitleMatches !== undefined ? matchText(match.subtitleMatches, details.subtitle) : true,
+            match.bodyMatches !== undefined ? matchText(match.bodyMatches, details.body) : true,
+        ];
+        if (results.includes(false)) return false;
+        if (results.includes(undefined)) return undefined;
+        return true;
+    }
+
+    /**
+     * Internal method to check a rule's quiet hours
+     * @param {Rule} rule
+     * @returns {Boolean} Whether the rule applies right now
+     */
+    #isActive(rule) {
+        if (!rule.quietHours) return true;
+        let now = this.#now();
+        let minutes = now.getHours() * 60 + now.getMinutes();
+        let start = minutesOfDay(rule.quietHours.start), end = minutesOfDay(rule.quietHours.end);
+        // Quiet hours can run past midnight
+        return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+    }
+
+    /**
+     * Internal method to check a rule's rate limit for an app
+     * @param {Rule} rule
+     * @param {String} [appID]
+     * @returns {Boolean} Whether the rule is over its limit
+     */
+    #isLimited(rule, appID) {
+        if (!rule.rateLimit) return false;
+        let hits = this.#recentHits(rule, appID);
+        return hits.length >= rule.rateLimit.count;
+    }
+
+    /**
+     * Internal method to check whether a rule mutes notifications once it's over its rate limit, rather than being skipped
+     * @param {Rule} rule
+     * @returns {Boolean}
+     */
+    #mutesOverLimit(rule) {
+        return rule.rateLimit?.then == "mute";
+    }
+
+    /**
+     * Internal method to count a rule being applied, for its rate limit
+     * @param {Rule} rule
+     * @param {String} [appID]
+     */
+    #hit(rule, appID) {
+        if (!rule.rateLimit) return;
+        let hits = this.#recentHits(rule, appID);
+        hits.push(this.#now().getTime());
+        this.#hits.set(`${rule.id}/${appID ?? ""}`, hits);
+    }
+
+    #recentHits(rule, appID) {
+        let since = this.#now().getTime() - rule.rateLimit.interval;
+        return (this.#hits.get(`${rule.id}/${appID ?? ""}`) ?? []).filter((time) => time > since);
+    }
+}
+
+module.exports = { RuleSet };
@@ -0,0 +1,325 @@
+const EventEmitter = require("node:events");
+const { once } = require("node:events");
+const http = require("node:http");
+const crypto = require("node:crypto");
+const { ProtocolError } = require("./codec.js");
+const { ControlPointError, ControlPointErrorCode, ClientError, ClientErrorCode } = require("./index.js");
+
+/**
+ * The port the server listens on, unless told otherwise
+ * @type {Number}
+ */
+const DEFAULT_PORT = 8377;
+
+/**
+ * Options for an ANCSServer
+ * @typedef {Object} ANCSServerOptions
+ * @property {String} [token] The token requests must give, as `Authorization: Bearer <token>` or a `token` query parameter
+ * (for EventSource, which can't set headers). Defaults to a random one (see `.token`).
+ * @property {String} [host] The address to listen on. Defaults to "127.0.0.1", so only this machine can connect.
+ * @property {Number} [port] The port to listen on, or 0 for any free one. Defaults to 8377.
+ * @property {String} [origin] An origin to allow cross-origin requests from (e.g. a dashboard at "http://dashboard.local:3000"). Defaults to none.
+ * @property {Number} [heartbeat] How often to send a comment down the event feed, so proxies don't close it, in milliseconds. Defaults to 15000.
+ * @property {Number} [bufferSize] The most events to hold for each feed that's slow to read. The oldest are dropped after that. Defaults to 100.
+ */
+
+/**
+ * Internal class for errors that should be sent back with a particular HTTP status
+ * @extends Error
+ */
+class HTTPError extends Error {
+    /**
+     * @param {Number} status
+     * @param {String} message
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = "HTTPError";
+        this.status = status;
+    }
+}
+
+/**
+ * Internal function to compare tokens without giving away how much of one matched through the time it takes
+ * @param {String} given
+ * @param {String} token
+ * @returns {Boolean}
+ */
+function sameToken(given, token) {
+    let hash = (text) => crypto.createHash("sha256").update(text).digest();
+    return crypto.timingSafeEqual(hash(given), hash(token));
+}
+
+/**
+ * Internal function to work out the HTTP status for an error from the client
+ * @param {Error} e
+ * @returns {Number}
+ */
+function statusFor(e) {
+    if (e instanceof HTTPError) return e.status;
+    if (e instanceof ProtocolError) return 400;
+    if (e instanceof ControlPointError) return e.code == ControlPointErrorCode.InvalidParameter ? 404 : 502;
+    if (e instanceof ClientError && e.code == ClientErrorCode.NotListening) return 503;
+    if (e instanceof ClientError && e.code == ClientErrorCode.ActionNotOffered) return 409;
+    return 502;
+}
+
+/**
+ * Notification Server Class
+ * @extends EventEmitter
+ * @fires ANCSServer#error When the server or an event feed fails after starting. Only emitted if there are listeners.
+ *
+ * Serves an ANCSClient's notifications over HTTP, using only Node's own modules, for dashboards and home automation:
+ * ```js
+ * let {ANCSServer} = require("ancsjs/server");
+ * let server = new ANCSServer(device, { token: process.env.ANCS_TOKEN });
+ * await server.start();
+ * ```
+ * - `GET /notifications` lists the notifications cache, and `GET /notifications/<id>` gets one
+ * - `POST /notifications/<id>/actions/positive` (or `negative`) performs an action
+ * - `GET /apps` lists the app names fetched so far, and `GET /apps/<appID>` fetches one
+ * - `GET /events` is a Server-Sent Events feed of `created`, `edited` and `removed` events
+ *
+ * Every request needs the token. The server only listens on localhost unless given another `host`.
+ */
+class ANCSServer extends EventEmitter {
+    /**
+     * The token requests must give
+     * @type {String}
+     * @readonly
+     */
+    token;
+    #client;
+    #options;
+    #server;
+    #feeds = new Set();
+
+    /**
+     * Create a server. Nothing is served until `.start()` is called.
+     * @param {import("./index.js").ANCSClient} client The client whose notifications should be served
+     * @param {ANCSServerOptions} [options]
+     * @throws {Error} If there's no client, or the token is empty
+     */
+    constructor(client, options) {
+        super(); // Set up event emitter
+        if (!client) throw new Error("No ANCSClient provided");
+        if (options?.token !== undefined && (typeof options.token != "string" || !options.token)) throw new Error("Token must be a string, and not empty");
+        this.#client = client;
+        this.token = options?.token ?? crypto.randomBytes(24).toString("base64url");
+        this.#options = {
+            host: options?.host ?? "127.0.0.1",
+            port: options?.port ?? DEFAULT_PORT,
+            origin: options?.origin,
+            heartbeat: options?.heartbeat ?? 15000,
+            bufferSize: options?.bufferSize ?? 100,
+        };
+    }
+
+    /**
+     * Whether the server is listening
+     * @type {Boolean}
+     * @readonly
+     */
+    get started() {
+        return !!this.#server;
+    }
+
+    /**
+     * The address and port the server is listening on, once started
+     * @type {{address: String, port: Number}|undefined}
+     * @readonly
+     */
+    get address() {
+        let address = this.#server?.address();
+        return address ? { address: address.address, port: address.port } : undefined;
+    }
+
+    /**
+     * Internal method to pass along an error that happened away from any caller, if anyone is listening for them
+     * @param {Error} error
+     */
+    #emitError(error) {
+        /**
+         * @event ANCSServer#error The server or an event feed failed
+         * @type {Error}
+         */
+        if (this.listenerCount("error") > 0) this.emit("error", error);
+    }
+
+    /**
+     * Starts listening for requests
+     * @throws {Error} If the server couldn't listen (e.g. the port is in use)
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.#server) return;
+        let server = http.createServer((request, response) => this.#handle(request, response));
+        try {
+            await new Promise((resolve, reject) => {
+                server.once("error", reject);
+                server.listen(this.#options.port, this.#options.host, () => {
+                    server.off("error", reject);
+                    resolve();
+                });
+            });
+        } catch (e) {
+            throw new Error(`Couldn't listen on ${this.#options.host}:${this.#options.port}. ` + e.message);
+        }
+        server.on("error", (e) => this.#emitError(e));
+        this.#server = server;
+    }
+
+    /**
+     * Stops listening, and closes any event feeds
+     * @returns {Promise<boolean>} False if the server wasn't started
+     */
+    async stop() {
+        let server = this.#server;
+        if (!server) return false;
+        this.#server = undefined;
+        for (const close of this.#feeds) close();
+        let closed = new Promise((resolve) => server.close(resolve));
+        // Don't wait for idle keep-alive connections to time out
+        server.closeIdleConnections();
+        await closed;
+        return true;
+    }
+
+    /**
+     * Internal method to answer a request
+     * @param {http.IncomingMessage} request
+     * @param {http.ServerResponse} response
+     */
+    async #handle(request, response) {
+        let origin = this.#options.origin;
+        if (origin) {
+            response.setHeader("Access-Control-Allow-Origin", origin);
+            response.setHeader("Vary", "Origin");
+            if (request.method == "OPTIONS") {
+                response.writeHead(204, { "Access-Control-Allow-Methods": "GET, POST", "Access-Control-Allow-Headers": "Authorization" });
+                return response.end();
+            }
+        }
+        try {
+            let url = new URL(request.url, "http://localhost");
+            let given = request.headers.authorization?.match(/^Bearer (.+)$/)?.[1] ?? url.searchParams.get("token");
+            if (!given || !sameToken(given, this.token)) {
+                return this.#send(response, 401, { error: "A valid token is needed, as 'Authorization: Bearer <token>' or ?token=<token>" }, { "WWW-Authenticate": "Bearer" });
+            }
+            let parts;
+            try {
+                parts = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+            } catch (e) {
+                throw new HTTPError(400, "The path isn't valid");
+            }
+            await this.#route(request, response, parts);
+        } catch (e) {
+            if (response.headersSent) return response.destroy();
+            this.#send(response, statusFor(e), e instanceof ControlPointError || e instanceof ClientError ? { error: e.message, code: e.code } : { error: e.message });
+        }
+    }
+
+    /**
+     * Internal method to find what a request is for, and do it
+     * @param {http.IncomingMessage} request
+     * @param {http.ServerResponse} response
+     * @param {String[]} parts The path, split up
+     * @throws {HTTPError} If there's nothing at the path, or it doesn't take this method
+     * @returns {Promise<void>}
+     */
+    async #route(request, response, parts) {
+        const expect = (method) => {
+            if (request.method != method) throw new HTTPError(405, `Only ${method} is allowed here`);
+        };
+        let [collection, id, subcollection, action] = parts;
+        if (collection == "notifications" && parts.length == 1) {
+            expect("GET");
+            return this.#send(response, 200, Object.values(this.#client.notifications));
+        }
+        if (collection == "notifications" && parts.length == 2) {
+            expect("GET");
+            let notification = this.#client.notifications[id.toLowerCase()];
+            if (!notification) throw new HTTPError(404, `There's no notification ${id}`);
+            return this.#send(response, 200, notification);
+        }
+        if (collection == "notifications" && parts.length == 4 && subcollection == "actions") {
+            if (action != "positive" && action != "negative") throw new HTTPError(404, 'The action should be "positive" or "negative"');
+            expect("POST");
+            await this.#client.performAction(id.toLowerCase(), action);
+            return this.#send(response, 204);
+        }
+        if (collection == "apps" && parts.length == 1) {
+            expect("GET");
+            return this.#send(response, 200, this.#client.appNames);
+        }
+        if (collection == "apps" && parts.length == 2) {
+            expect("GET");
+            return this.#send(response, 200, { appID: id, name: await this.#client.getAppName(id) });
+        }
+        if (collection == "events" && parts.length == 1) {
+            expect("GET");
+            return this.#feed(request, response);
+        }
+        throw new HTTPError(404, "There's nothing here");
+    }
+
+    /**
+     * Internal method to send a JSON response
+     * @param {http.ServerResponse} response
+     * @param {Number} status
+     * @param {*} [body] Left out for 204 responses
+     * @param {Object.<string, string>} [headers]
+     */
+    #send(response, status, body, headers) {
+        if (body === undefined) {
+            response.writeHead(status, headers);
+            return response.end();
+        }
+        response.writeHead(status, { "Content-Type": "application/json; charset=utf-8", ...headers });
+        response.end(JSON.stringify(body));
+    }
+
+    /**
+     * Internal method to send events down a Server-Sent Events feed until either end closes it
+     * @param {http.IncomingMessage} request
+     * @param {http.ServerResponse} response
+     * @returns {Promise<void>}
+     */
+    async #feed(request, response) {
+        // Each feed has its own buffer, so one slow reader doesn't hold up the others
+        let events = this.#client.events({ bufferSize: this.#options.bufferSize });
+        response.writeHead(200, { "Content-Type": "text/event-stream; charset=utf-8", "Cache-Control": "no-cache", "Connection": "keep-alive" });
+        response.write(": connected\n\n");
+        let heartbeat = setInterval(() => response.write(": heartbeat\n\n"), this.#options.heartbeat);
+        // Aborted when the feed closes, to stop waiting for it to drain
+        let closing = new AbortController();
+        const close = () => {
+            if (closing.signal.aborted) return;
+            closing.abort();
+            clearInterval(heartbeat);
+            this.#feeds.delete(close);
+            events.return();
+            response.end();
+        };
+        this.#feeds.add(close);
+        response.on("close", close);
+        try {
+            for await (const { type, id, notification } of events) {
+                if (response.write(`event: ${type}\ndata: ${JSON.stringify({ id, notification })}\n\n`)) continue;
+                // Let it catch up, while the events wait in the buffer
+                try {
+                    await once(response, "drain", { signal: closing.signal });
+                } catch (e) {
+                    if (closing.signal.aborted) break;
+                    throw e;
+                }
+            }
+        } catch (e) {
+            this.#emitError(e);
+        } finally {
+            close();
+        }
+    }
+}
+
+module.exports = { ANCSServer };
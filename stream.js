@@ -0,0 +1,157 @@
+/**
+ * What an EventBuffer does when it's full and another event arrives
+ * @readonly
+ * @enum {String}
+ */
+const OverflowPolicy = Object.freeze({
+    /** Forget the oldest buffered event to make room */
+    DropOldest: "drop-oldest",
+    /** Forget the event that just arrived */
+    DropNewest: "drop-newest",
+    /** Stop, and throw an error from the iterator (or destroy the stream with it) */
+    Error: "error",
+});
+
+/**
+ * How many events are buffered for a slow consumer, unless told otherwise
+ * @type {Number}
+ */
+const BUFFER_SIZE = 100;
+
+/**
+ * A notification event, as given by `ANCSClient.events()`
+ * @typedef {Object} NotificationEvent
+ * @property {"created"|"edited"|"removed"} type What happened
+ * @property {String} id The ID of the notification, as a hex string
+ * @property {import("./index.js").ANCSNotification} [notification] The notification. For removed events this is how it was last seen,
+ * which is undefined if it was never fetched (e.g. with `noparse`).
+ */
+
+/**
+ * Options for `ANCSClient.events()` and `ANCSClient.createReadStream()`
+ * @typedef {Object} EventBufferOptions
+ * @property {AbortSignal} [signal] Stops the iterator (which throws the signal's reason) or destroys the stream when aborted
+ * @property {Number} [bufferSize] The most events to hold while the consumer catches up. Defaults to 100.
+ * @property {OverflowPolicy} [overflow] What to do when the buffer is full. Defaults to `OverflowPolicy.DropOldest`.
+ */
+
+/**
+ * Buffers a client's created, edited and removed events for an async iterator, up to a limit.
+ * It ends once the client stops listening (after the events already buffered), or when `return()` is called (e.g. by breaking out of `for await`).
+ */
+class EventBuffer {
+    /**
+     * How many events have been dropped because the buffer was full
+     * @type {Number}
+     */
+    dropped = 0;
+    #client;
+    #size;
+    #overflow;
+    #signal;
+    #onAbort;
+    #listeners;
+    #events = [];
+    #waiting = [];
+    #error;
+    #done = false;
+
+    /**
+     * @param {import("./index.js").ANCSClient} client The client to buffer events from
+     * @param {EventBufferOptions} [options]
+     * @throws {Error} If the options are invalid
+     */
+    constructor(client, options) {
+        let size = options?.bufferSize ?? BUFFER_SIZE;
+        if (!Number.isInteger(size) || size < 1) throw new Error("Buffer size must be a whole number above 0");
+        let overflow = options?.overflow ?? OverflowPolicy.DropOldest;
+        if (!Object.values(OverflowPolicy).includes(overflow)) throw new Error(`Overflow policy "${overflow}" is invalid. It should be one of ${Object.values(OverflowPolicy).map((policy) => `"${policy}"`).join(", ")}`);
+        this.#client = client;
+        this.#size = size;
+        this.#overflow = overflow;
+        this.#listeners = {
+            created: (notification) => this.#push({ type: "created", id: notification.id, notification }),
+            edited: (notification) => this.#push({ type: "edited", id: notification.id, notification }),
+            // The client forgets the notification straight after this
+            removed: (id) => this.#push({ type: "removed", id, notification: client.notifications[id] }),
+            stop: () => this.#finish(),
+        };
+        for (const [event, listener] of Object.entries(this.#listeners)) client.on(event, listener);
+        if (options?.signal) {
+            this.#signal = options.signal;
+            this.#onAbort = () => this.#finish(this.#signal.reason);
+            if (this.#signal.aborted) this.#onAbort();
+            else this.#signal.addEventListener("abort", this.#onAbort);
+        }
+    }
+
+    /**
+     * Internal method to hand an event to whoever is waiting, or buffer it
+     * @param {NotificationEvent} event
+     */
+    #push(event) {
+        if (this.#waiting.length > 0) return this.#waiting.shift().resolve({ value: event, done: false });
+        if (this.#events.length >= this.#size) {
+            if (this.#overflow == OverflowPolicy.Error) return this.#finish(new Error(`The event buffer overflowed (more than ${this.#size} events). The consumer isn't keeping up`));
+            this.dropped++;
+            if (this.#overflow == OverflowPolicy.DropNewest) return;
+            this.#events.shift();
+        }
+        this.#events.push(event);
+    }
+
+    /**
+     * Internal method to stop listening to the client. Events already buffered are still given out, unless there's an error.
+     * @param {Error} [error] Thrown by the next call to `next()`
+     */
+    #finish(error) {
+        if (this.#done) return;
+        this.#done = true;
+        for (const [event, listener] of Object.entries(this.#listeners)) this.#client.off(event, listener);
+        this.#signal?.removeEventListener("abort", this.#onAbort);
+        if (error) {
+            this.#error = error;
+            this.#events = [];
+        }
+        for (const waiting of this.#waiting) {
+            if (error) waiting.reject(error);
+            else waiting.resolve({ value: undefined, done: true });
+        }
+        // Anyone waiting has been told about the error
+        if (this.#waiting.length > 0) this.#error = undefined;
+        this.#waiting = [];
+    }
+
+    /**
+     * Gets the next event, waiting for one if the buffer is empty
+     * @throws {Error} If the buffer overflowed (with `OverflowPolicy.Error`) or the signal was aborted
+     * @returns {Promise<IteratorResult<NotificationEvent, undefined>>}
+     */
+    next() {
+        if (this.#events.length > 0) return Promise.resolve({ value: this.#events.shift(), done: false });
+        if (this.#error) {
+            let error = this.#error;
+            this.#error = undefined;
+            return Promise.reject(error);
+        }
+        if (this.#done) return Promise.resolve({ value: undefined, done: true });
+        return new Promise((resolve, reject) => this.#waiting.push({ resolve, reject }));
+    }
+
+    /**
+     * Stops buffering and forgets any events that haven't been given out
+     * @returns {Promise<IteratorResult<NotificationEvent, undefined>>}
+     */
+    return() {
+        this.#finish();
+        this.#events = [];
+        this.#error = undefined;
+        return Promise.resolve({ value: undefined, done: true });
+    }
+
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+}
+
+module.exports = { EventBuffer, OverflowPolicy };
@@ -0,0 +1,99 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { DBusError } = require("dbus-next");
+const { FakeBluez, hasDbusDaemon } = require("./fake-bluez.js");
+const { ADDRESS } = require("./fake-notifications.js");
+const { ANCSAdvertisement, ANCS_SERVICE_UUID } = require("../advertisement.js");
+const { ANCSClient } = require("../index.js");
+
+describe("ANCSAdvertisement", { skip: !hasDbusDaemon && "dbus-daemon is not installed" }, () => {
+    let fake, bus, client;
+
+    beforeEach(async () => {
+        fake = await FakeBluez.start({ address: ADDRESS });
+        bus = fake.connect();
+        client = new ANCSClient(ADDRESS, { bus });
+    });
+
+    afterEach(async () => {
+        await client.stopAdvertising().catch(() => {});
+        await fake.stop();
+    });
+
+    /**
+     * Reads back one of the objects the client exported, as Bluez would
+     * @param {String} path
+     * @param {String} iface
+     * @returns {Promise<Object.<string, *>>} Its properties
+     */
+    async function read(path, iface) {
+        let proxy = await fake.connect().getProxyObject(bus.name, path);
+        let properties = await proxy.getInterface("org.freedesktop.DBus.Properties").GetAll(iface);
+        return Object.fromEntries(Object.entries(properties).map(([name, variant]) => [name, variant.value]));
+    }
+
+    it("registers an advertisement soliciting the ANCS, and a GATT application", async () => {
+        await client.advertise({ name: "kiosk" });
+        assert.strictEqual(fake.registered.advertisement.length, 1);
+        assert.strictEqual(fake.registered.application.length, 1);
+        let advertisement = await read(fake.registered.advertisement[0], "org.bluez.LEAdvertisement1");
+        assert.deepStrictEqual(advertisement, { Type: "peripheral", LocalName: "kiosk", SolicitUUIDs: [ANCS_SERVICE_UUID] });
+
+        let application = await fake.connect().getProxyObject(bus.name, fake.registered.application[0]);
+        let objects = await application.getInterface("org.freedesktop.DBus.ObjectManager").GetManagedObjects();
+        let interfaces = Object.values(objects).flatMap((object) => Object.keys(object));
+        assert.deepStrictEqual(interfaces.sort(), ["org.bluez.GattCharacteristic1", "org.bluez.GattService1"]);
+    });
+
+    it("finds the adapter that can advertise", async () => {
+        let advertisement = new ANCSAdvertisement(bus);
+        await advertisement.start();
+        assert.strictEqual(advertisement.adapter, "/org/bluez/hci0");
+        assert.strictEqual(advertisement.advertising, true);
+        assert.strictEqual(await advertisement.stop(), true);
+    });
+
+    it("unregisters and unexports everything when stopped", async () => {
+        await client.advertise();
+        let [path] = fake.registered.advertisement;
+        assert.strictEqual(await client.stopAdvertising(), true);
+        assert.deepStrictEqual(fake.registered, { advertisement: [], application: [], agent: [] });
+        await assert.rejects(read(path, "org.bluez.LEAdvertisement1"));
+        assert.strictEqual(await client.stopAdvertising(), false);
+    });
+
+    it("refuses to advertise twice", async () => {
+        await client.advertise();
+        await assert.rejects(client.advertise(), /Already advertising/);
+        assert.strictEqual(fake.registered.advertisement.length, 1);
+    });
+
+    it("tidies up when the advertisement is refused", async () => {
+        let refused;
+        fake.onRegister = (type, path) => {
+            if (type != "advertisement") return;
+            refused = path;
+            throw new DBusError("org.bluez.Error.InvalidLength", "Advertising data too long");
+        };
+        let advertisement = new ANCSAdvertisement(bus, { name: "a name far too long for an advertisement" });
+        await assert.rejects(advertisement.start(), /Couldn't register the advertisement. .*Advertising data too long/);
+        assert.strictEqual(advertisement.advertising, false);
+        // The application registered first is unregistered again
+        assert.deepStrictEqual(fake.registered, { advertisement: [], application: [], agent: [] });
+        await assert.rejects(read(refused, "org.bluez.LEAdvertisement1"));
+
+        // And it can be tried again
+        fake.onRegister = undefined;
+        await client.advertise();
+        assert.strictEqual(fake.registered.advertisement.length, 1);
+    });
+
+    it("tidies up when the GATT application is refused", async () => {
+        fake.onRegister = (type) => {
+            if (type == "application") throw new DBusError("org.bluez.Error.Failed", "No object received");
+        };
+        await assert.rejects(client.advertise(), /Couldn't register the GATT application. .*No object received/);
+        assert.deepStrictEqual(fake.registered, { advertisement: [], application: [], agent: [] });
+        assert.strictEqual(await client.stopAdvertising(), false);
+    });
+});
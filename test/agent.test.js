@@ -0,0 +1,134 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { once } = require("node:events");
+const { DBusError } = require("dbus-next");
+const { FakeBluez, hasDbusDaemon } = require("./fake-bluez.js");
+const { ADDRESS } = require("./fake-notifications.js");
+const { ANCSAgent } = require("../agent.js");
+const { ANCSClient } = require("../index.js");
+
+const DEVICE_PATH = "/org/bluez/hci0/dev_01_23_45_67_89_AB";
+
+describe("ANCSAgent", { skip: !hasDbusDaemon && "dbus-daemon is not installed" }, () => {
+    let fake, bus, client;
+
+    beforeEach(async () => {
+        fake = await FakeBluez.start({ address: ADDRESS });
+        bus = fake.connect();
+        client = new ANCSClient(ADDRESS, { bus });
+    });
+
+    afterEach(async () => {
+        await client.unregisterAgent().catch(() => {});
+        await fake.stop();
+    });
+
+    /**
+     * Gets the agent's Agent1 interface, to call it as Bluez would
+     * @param {ANCSAgent} agent
+     * @returns {Promise<dbus.ClientInterface>}
+     */
+    async function bluez(agent) {
+        let proxy = await fake.connect().getProxyObject(bus.name, agent.path);
+        return proxy.getInterface("org.bluez.Agent1");
+    }
+
+    describe("registering", () => {
+        it("registers with the agent manager, and asks to be the default", async () => {
+            let agent = await client.registerAgent();
+            assert.strictEqual(agent.registered, true);
+            assert.deepStrictEqual(fake.registered.agent, [agent.path]);
+            assert.strictEqual(fake.defaultAgent, agent.path);
+            await assert.rejects(client.registerAgent(), /already registered/);
+        });
+
+        it("can leave the default agent alone", async () => {
+            let agent = await client.registerAgent({ default: false, capability: "NoInputNoOutput" });
+            assert.deepStrictEqual(fake.registered.agent, [agent.path]);
+            assert.strictEqual(fake.defaultAgent, undefined);
+        });
+
+        it("unregisters, and stops answering", async () => {
+            let agent = await client.registerAgent();
+            assert.strictEqual(await client.unregisterAgent(), true);
+            assert.strictEqual(agent.registered, false);
+            assert.deepStrictEqual(fake.registered.agent, []);
+            assert.strictEqual(fake.defaultAgent, undefined);
+            await assert.rejects(bluez(agent));
+            assert.strictEqual(await client.unregisterAgent(), false);
+        });
+
+        it("unexports itself when Bluez refuses it", async () => {
+            let agent = new ANCSAgent(bus, { capability: "Telepathy" });
+            await assert.rejects(agent.register(), /Couldn't register the pairing agent. .*Invalid arguments/);
+            assert.strictEqual(agent.registered, false);
+            await assert.rejects(bluez(agent));
+
+            fake.onRegister = () => {
+                throw new DBusError("org.bluez.Error.AlreadyExists", "Already Exists");
+            };
+            await assert.rejects(client.registerAgent(), /Couldn't register the pairing agent. .*Already Exists/);
+            fake.onRegister = undefined;
+            await client.registerAgent();
+            assert.strictEqual(fake.registered.agent.length, 1);
+        });
+    });
+
+    describe("requests", () => {
+        let agent, methods;
+
+        beforeEach(async () => {
+            agent = await client.registerAgent();
+            methods = await bluez(agent);
+        });
+
+        it("accepts a passkey confirmation, and trusts the device", async () => {
+            agent.on("pairingRequest", (request) => {
+                assert.strictEqual(request.type, "confirmation");
+                assert.strictEqual(request.address, ADDRESS);
+                assert.strictEqual(request.device, DEVICE_PATH);
+                assert.strictEqual(request.passkey, 123456);
+                request.accept();
+            });
+            await methods.RequestConfirmation(DEVICE_PATH, 123456);
+            assert.strictEqual(fake.trusted, true);
+        });
+
+        it("rejects a passkey confirmation", async () => {
+            agent.on("pairingRequest", (request) => request.reject());
+            await assert.rejects(methods.RequestConfirmation(DEVICE_PATH, 123456), { type: "org.bluez.Error.Rejected" });
+            assert.strictEqual(fake.trusted, false);
+        });
+
+        it("rejects requests nobody answers", async () => {
+            await assert.rejects(methods.RequestAuthorization(DEVICE_PATH), { type: "org.bluez.Error.Rejected" });
+        });
+
+        it("answers with onPairingRequest, instead of the event", async () => {
+            await client.unregisterAgent();
+            agent = await client.registerAgent({ onPairingRequest: (request) => request.type == "passkey" ? 4321 : false, trust: false });
+            methods = await bluez(agent);
+            assert.strictEqual(await methods.RequestPasskey(DEVICE_PATH), 4321);
+            await assert.rejects(methods.AuthorizeService(DEVICE_PATH, "7905f431-b5ce-4e99-a40f-4b1e122d00d0"), { type: "org.bluez.Error.Rejected" });
+            assert.strictEqual(fake.trusted, false);
+        });
+
+        it("gives up on a request when Bluez cancels it", async () => {
+            let requested = once(agent, "pairingRequest");
+            let confirming = methods.RequestConfirmation(DEVICE_PATH, 123456);
+            await requested;
+            let cancelled = once(agent, "cancelled");
+            await methods.Cancel();
+            await cancelled;
+            await assert.rejects(confirming, { type: "org.bluez.Error.Canceled" });
+        });
+
+        it("unexports itself when Bluez releases it", async () => {
+            let released = once(agent, "released");
+            await methods.Release();
+            await released;
+            assert.strictEqual(agent.registered, false);
+            await assert.rejects(bluez(agent));
+        });
+    });
+});
@@ -0,0 +1,231 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const { once } = require("node:events");
+const { ANCSRecorder, loadCapture } = require("../capture.js");
+const { encodeAttributes, hasDbusDaemon } = require("./fake-bluez.js");
+const { ADDRESS, MESSAGE, startFakeIPhone } = require("./fake-notifications.js");
+const { ANCSClient, EventID, EventFlags, CategoryID, NotificationAttributeID } = require("../index.js");
+
+/**
+ * Gets a time during the captured session
+ * @param {Number} ms How far into it
+ * @returns {Date}
+ */
+function at(ms) {
+    return new Date(Date.UTC(2026, 9, 18, 11, 30) + ms);
+}
+
+/**
+ * Makes a Notification Source value
+ * @param {Number} eventID
+ * @param {String} id
+ * @returns {Buffer}
+ */
+function source(eventID, id) {
+    return Buffer.concat([Buffer.from([eventID, EventFlags.NegativeAction, CategoryID.Social, 1]), Buffer.from(id, "hex")]);
+}
+
+/**
+ * Makes the GetNotificationAttributes command for the default attributes
+ * @param {String} id
+ * @returns {Buffer}
+ */
+function request(id) {
+    return Buffer.from("00" + id + "00" + "01ffff" + "02ffff" + "03ffff" + "05", "hex");
+}
+
+/**
+ * Makes the response to `request(id)`
+ * @param {String} id
+ * @returns {Buffer}
+ */
+function response(id) {
+    return Buffer.concat([Buffer.from("00" + id, "hex"), encodeAttributes(MESSAGE)]);
+}
+
+/**
+ * A session where one notification arrives (in two packets) and is removed, and one fails to fetch
+ * @returns {import("../capture.js").CaptureEntry[]}
+ */
+function session() {
+    let first = response("00000001");
+    return [
+        { time: at(0), direction: "in", characteristic: "NotificationSource", value: source(EventID.Added, "00000001") },
+        { time: at(10), direction: "out", characteristic: "ControlPoint", value: request("00000001") },
+        { time: at(30), direction: "in", characteristic: "DataSource", value: first.subarray(0, 20) },
+        { time: at(31), direction: "in", characteristic: "DataSource", value: first.subarray(20) },
+        { time: at(100), direction: "in", characteristic: "NotificationSource", value: source(EventID.Added, "00000002") },
+        { time: at(110), direction: "out", characteristic: "ControlPoint", value: request("00000002") },
+        { time: at(120), direction: "in", characteristic: "ControlPoint", error: "Operation failed with ATT error: 0xa2" },
+        { time: at(200), direction: "in", characteristic: "NotificationSource", value: source(EventID.Removed, "00000001") },
+    ];
+}
+
+/**
+ * Collects what a client emits
+ * @param {ANCSClient} client
+ * @returns {Array<[String, String?]>} Each event, with the notification ID if there is one
+ */
+function collect(client) {
+    let events = [];
+    client.on("start", () => events.push(["start"]));
+    client.on("created", (notification) => events.push(["created", notification.id]));
+    client.on("edited", (notification) => events.push(["edited", notification.id]));
+    client.on("removed", (id) => events.push(["removed", id]));
+    client.on("stop", () => events.push(["stop"]));
+    return events;
+}
+
+describe("ANCSRecorder", () => {
+    let directory;
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), "ancsjs-"));
+    });
+
+    afterEach(async () => {
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it("writes entries as NDJSON, with hex values", async () => {
+        let file = path.join(directory, "capture.ndjson");
+        let recorder = new ANCSRecorder(file);
+        for (const entry of session().slice(4, 7)) await recorder.record(entry);
+        let lines = (await fs.readFile(file, "utf8")).trim().split("\n").map((line) => JSON.parse(line));
+        assert.deepStrictEqual(lines, [
+            { time: "2026-10-18T11:30:00.100Z", direction: "in", characteristic: "NotificationSource", value: "0010040100000002" },
+            { time: "2026-10-18T11:30:00.110Z", direction: "out", characteristic: "ControlPoint", value: "00000000020001ffff02ffff03ffff05" },
+            { time: "2026-10-18T11:30:00.120Z", direction: "in", characteristic: "ControlPoint", error: "Operation failed with ATT error: 0xa2" },
+        ]);
+    });
+
+    it("loads them back, skipping what can't be read", async () => {
+        let file = path.join(directory, "capture.ndjson");
+        let recorder = new ANCSRecorder(file);
+        await Promise.all(session().map((entry) => recorder.record(entry)));
+        await fs.appendFile(file, '{"time":"2026-10-18T11:30:01.000Z","direction":"sideways","characteristic":"DataSource","value":"00"}\n{"time":"2026-10-18T11:3');
+        assert.deepStrictEqual(await loadCapture(file), session());
+    });
+});
+
+describe("replay", () => {
+    it("plays a capture through the client, without Bluetooth", async () => {
+        let client = new ANCSClient(ADDRESS);
+        let events = collect(client);
+        let errors = [];
+        client.on("error", (e) => errors.push(e));
+        let created = once(client, "created");
+        let replaying = client.replay(session());
+        let [notification] = await created;
+        assert.strictEqual(notification.title, "Alice");
+        assert.strictEqual(notification.flags, EventFlags.NegativeAction);
+        assert.ok(notification.raw.equals(response("00000001")));
+        await replaying;
+        assert.deepStrictEqual(events, [["start"], ["created", "00000001"], ["removed", "00000001"], ["stop"]]);
+        assert.deepStrictEqual(client.notifications, {});
+        assert.deepStrictEqual(errors, []);
+    });
+
+    it("answers writes the way the capture did", async () => {
+        let client = new ANCSClient(ADDRESS);
+        let capture = session().slice(0, 4);
+        capture.push({ time: at(50), direction: "out", characteristic: "ControlPoint", value: Buffer.from("000000000101", "hex") });
+        capture.push({ time: at(60), direction: "in", characteristic: "ControlPoint", error: "Operation failed with ATT error: 0xa1" });
+        client.on("created", async (notification) => {
+            await assert.rejects(notification.performNegativeAction(), { name: "ControlPointError", code: 0xa1 });
+            await client.stopListening();
+        });
+        await client.replay(capture);
+    });
+
+    it("says when it does something different to the capture", async () => {
+        let client = new ANCSClient(ADDRESS);
+        let errors = [];
+        client.on("error", (e) => errors.push(e));
+        client.addRule({ category: CategoryID.Social }, null, { attributes: [NotificationAttributeID.Title] });
+        await client.replay(session(), { timeout: 50 });
+        assert.match(errors[0].message, /The replay wrote 000000000101ffff to the Control Point, but the capture has 00000000010001ffff02ffff03ffff05/);
+    });
+
+    it("keeps the gaps between values at the speed asked for", async () => {
+        let client = new ANCSClient(ADDRESS);
+        let started = Date.now();
+        await client.replay(session(), { speed: 2 });
+        // 200ms of capture at double speed
+        assert.ok(Date.now() - started >= 90);
+    });
+
+    it("stops when stopListening is called", async () => {
+        let client = new ANCSClient(ADDRESS);
+        let events = collect(client);
+        client.on("created", () => client.stopListening());
+        let capture = session();
+        capture[4].time = at(60000);
+        let started = Date.now();
+        await client.replay(capture, { speed: 1 });
+        assert.ok(Date.now() - started < 5000);
+        assert.deepStrictEqual(events, [["start"], ["created", "00000001"], ["stop"]]);
+        await assert.rejects(client.performAction("00000001", "negative"), /Not listening/);
+    });
+
+    it("refuses bad options, and replaying twice at once", async () => {
+        let client = new ANCSClient(ADDRESS);
+        await assert.rejects(client.replay(session(), { speed: -1 }), /Replay speed must be a number, 0 or above/);
+        assert.throws(() => new ANCSClient(ADDRESS, { recorder: {} }), /Recorder must be a file path, or have a record\(\) method/);
+        let replaying = client.replay(session(), { speed: 1 });
+        await assert.rejects(client.replay(session()), /Already listening/);
+        await client.stopListening();
+        await replaying;
+    });
+});
+
+describe("recorder option", { skip: !hasDbusDaemon && "dbus-daemon is not installed" }, () => {
+    let fake, client;
+
+    beforeEach(async () => {
+        fake = await startFakeIPhone();
+    });
+
+    afterEach(async () => {
+        await client.stopListening().catch(() => {});
+        await fake.stop();
+    });
+
+    it("captures a session, which replays the same", async () => {
+        let entries = [];
+        client = new ANCSClient(ADDRESS, { bus: fake.connect() });
+        await client.startListening({ recorder: { record: (entry) => entries.push(entry) } });
+        let created = once(client, "created");
+        fake.sendNotification(EventID.Added, "00000001", { flags: EventFlags.PositiveAction });
+        let [original] = await created;
+        await assert.rejects(client.performAction("00000009", "positive"));
+        let removed = once(client, "removed");
+        fake.sendNotification(EventID.Removed, "00000001");
+        await removed;
+        await client.stopListening();
+
+        assert.deepStrictEqual(entries.slice(0, 2).map((entry) => [entry.direction, entry.characteristic, entry.value.toString("hex")]), [
+            ["in", "NotificationSource", "0008000100000001"],
+            ["out", "ControlPoint", request("00000001").toString("hex")],
+        ]);
+        // Split up by the small MTU
+        assert.ok(entries.filter((entry) => entry.characteristic == "DataSource").length > 1);
+        assert.ok(entries.every((entry) => entry.time instanceof Date));
+        let failed = entries.findIndex((entry) => entry.error);
+        assert.match(entries[failed].error, /ATT error: 0xa2/);
+        assert.strictEqual(entries[failed - 1].value.toString("hex"), "020000000900");
+
+        let replay = new ANCSClient(ADDRESS);
+        let events = collect(replay);
+        let replayed = once(replay, "created");
+        let replaying = replay.replay(entries);
+        let [notification] = await replayed;
+        await replaying;
+        assert.ok(notification.raw.equals(original.raw));
+        assert.strictEqual(notification.flags, EventFlags.PositiveAction);
+        assert.deepStrictEqual(events, [["start"], ["created", "00000001"], ["removed", "00000001"], ["stop"]]);
+    });
+});
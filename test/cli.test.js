@@ -0,0 +1,178 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const path = require("node:path");
+const { spawn } = require("node:child_process");
+const { once } = require("node:events");
+const { hasDbusDaemon } = require("./fake-bluez.js");
+const { ADDRESS, MESSAGE, startFakeIPhone } = require("./fake-notifications.js");
+const { ANCSClient, EventID, EventFlags, NotificationAttributeID } = require("../index.js");
+
+const CLI = path.join(__dirname, "..", "cli.js");
+
+describe("ancs command line tool", { skip: !hasDbusDaemon && "dbus-daemon is not installed" }, () => {
+    let fake;
+    let children = [];
+
+    beforeEach(async () => {
+        fake = await startFakeIPhone({ name: "Alice's iPhone" });
+    });
+
+    afterEach(async () => {
+        for (const child of children) {
+            if (child.exitCode === null && child.signalCode === null) child.kill("SIGKILL");
+        }
+        children = [];
+        await fake.stop();
+    });
+
+    /**
+     * Runs the tool against the fake Bluez
+     * @param {...String} args
+     * @returns {{child: import("node:child_process").ChildProcess, stdout: String, stderr: String, exited: Promise<Number>, waitFor: function("stdout"|"stderr", String): Promise<void>}}
+     */
+    function run(...args) {
+        let child = spawn(process.execPath, [CLI, ...args], { env: { ...process.env, DBUS_SYSTEM_BUS_ADDRESS: fake.busAddress } });
+        children.push(child);
+        let run = { child, stdout: "", stderr: "" };
+        child.stdout.setEncoding("utf8").on("data", (data) => {
+            run.stdout += data;
+            child.stdout.emit("lines");
+        });
+        child.stderr.setEncoding("utf8").on("data", (data) => {
+            run.stderr += data;
+            child.stderr.emit("lines");
+        });
+        run.exited = once(child, "exit").then(([code]) => code);
+        /**
+         * Waits for output containing some text
+         * @param {"stdout"|"stderr"} stream
+         * @param {String} text
+         * @returns {Promise<void>}
+         */
+        run.waitFor = async (stream, text) => {
+            while (!run[stream].includes(text)) {
+                await Promise.race([once(child[stream], "lines"), run.exited.then((code) => assert.fail(`Exited with ${code} before "${text}". ${run.stderr}`))]);
+            }
+        };
+        return run;
+    }
+
+    it("shows usage, with exit code 2 when it's wrong", async () => {
+        let help = run("--help");
+        assert.strictEqual(await help.exited, 0);
+        assert.match(help.stdout, /^Usage: ancs <command>/);
+        let nothing = run();
+        assert.strictEqual(await nothing.exited, 2);
+        assert.match(nothing.stderr, /Usage: ancs <command>/);
+        let unknown = run("explode");
+        assert.strictEqual(await unknown.exited, 2);
+        assert.match(unknown.stderr, /Unknown command "explode"/);
+        let badMAC = run("listen", "01:23");
+        assert.strictEqual(await badMAC.exited, 2);
+        assert.match(badMAC.stderr, /not a valid MAC address/);
+        let badOption = run("devices", "--colour");
+        assert.strictEqual(await badOption.exited, 2);
+    });
+
+    describe("devices", () => {
+        it("lists devices with the ANCS", async () => {
+            let devices = run("devices");
+            assert.strictEqual(await devices.exited, 0);
+            assert.strictEqual(devices.stdout, `${ADDRESS} Alice's iPhone\n`);
+            let json = run("devices", "--json");
+            assert.strictEqual(await json.exited, 0);
+            assert.deepStrictEqual(JSON.parse(json.stdout), { address: ADDRESS, name: "Alice's iPhone", path: "/org/bluez/hci0/dev_01_23_45_67_89_AB" });
+        });
+
+        it("exits with 3 when there are none", async () => {
+            fake.disconnect();
+            let devices = run("devices");
+            assert.strictEqual(await devices.exited, 3);
+            assert.strictEqual(devices.stdout, "");
+        });
+
+        it("agrees with the client about which devices have the ANCS", async () => {
+            let client = new ANCSClient(ADDRESS, { bus: fake.connect() });
+            assert.strictEqual(await client.isSupported(), true);
+            assert.strictEqual(await run("devices").exited, 0);
+            fake.disconnect();
+            assert.strictEqual(await client.isSupported(), false);
+            assert.strictEqual(await run("devices").exited, 3);
+        });
+    });
+
+    describe("listen", () => {
+        it("prints readable lines until interrupted, then stops listening", async () => {
+            let listen = run("listen", ADDRESS);
+            await listen.waitFor("stderr", "Listening to");
+            fake.sendNotification(EventID.Added, "00000001");
+            await listen.waitFor("stdout", "\n");
+            fake.sendNotification(EventID.Removed, "00000001");
+            await listen.waitFor("stdout", "removed");
+            listen.child.kill("SIGINT");
+            assert.strictEqual(await listen.exited, 0);
+            let lines = listen.stdout.trim().split("\n");
+            assert.match(lines[0], /^created 00000001 com\.apple\.MobileSMS Alice \|  \| Are we still on for lunch\? \| /);
+            assert.strictEqual(lines[1], "removed 00000001");
+            assert.strictEqual(fake.characteristics.notificationSource.notifying, false);
+        });
+
+        it("prints JSON Lines, and stops on SIGTERM", async () => {
+            let listen = run("listen", ADDRESS, "--json");
+            await listen.waitFor("stderr", "Listening to");
+            fake.sendNotification(EventID.Added, "00000001", { flags: EventFlags.NegativeAction });
+            await listen.waitFor("stdout", "\n");
+            listen.child.kill("SIGTERM");
+            assert.strictEqual(await listen.exited, 0);
+            let line = JSON.parse(listen.stdout);
+            assert.strictEqual(line.type, "created");
+            assert.strictEqual(line.id, "00000001");
+            assert.ok(!Number.isNaN(Date.parse(line.time)));
+            assert.strictEqual(line.notification.title, "Alice");
+            assert.strictEqual(line.notification.flags, EventFlags.NegativeAction);
+            assert.strictEqual(fake.characteristics.dataSource.notifying, false);
+        });
+
+        it("exits with 3 if the device doesn't have the ANCS", async () => {
+            fake.disconnect();
+            let listen = run("listen", ADDRESS);
+            assert.strictEqual(await listen.exited, 3);
+            assert.match(listen.stderr, /doesn't have the ANCS/);
+        });
+    });
+
+    describe("dump", () => {
+        it("prints what iOS sends once it's finished", async () => {
+            fake.notifications["00000002"] = MESSAGE.map(([id, value]) => [id, id == NotificationAttributeID.Title ? "Bob" : value]);
+            fake.onSubscribe = () => {
+                fake.sendNotification(EventID.Added, "00000001", { flags: EventFlags.PreExisting });
+                fake.sendNotification(EventID.Added, "00000002", { flags: EventFlags.PreExisting });
+            };
+            let dump = run("dump", ADDRESS, "--json", "--settle", "200");
+            assert.strictEqual(await dump.exited, 0);
+            let notifications = dump.stdout.trim().split("\n").map((line) => JSON.parse(line));
+            assert.deepStrictEqual(notifications.map((notification) => [notification.id, notification.title, notification.preExisting]), [["00000001", "Alice", true], ["00000002", "Bob", true]]);
+            assert.strictEqual(fake.characteristics.notificationSource.notifying, false);
+        });
+    });
+
+    describe("action", () => {
+        it("performs the action", async () => {
+            let action = run("action", ADDRESS, "00000001", "negative");
+            assert.strictEqual(await action.exited, 0);
+            assert.deepStrictEqual(fake.actions, [["00000001", 1]]);
+        });
+
+        it("exits with 1 if the ANCS refuses", async () => {
+            let action = run("action", ADDRESS, "00000009", "positive");
+            assert.strictEqual(await action.exited, 1);
+            assert.match(action.stderr, /does not refer to an existing object/);
+        });
+
+        it("exits with 2 for bad arguments", async () => {
+            let action = run("action", ADDRESS, "00000001", "maybe");
+            assert.strictEqual(await action.exited, 2);
+            assert.match(action.stderr, /should be "positive" or "negative"/);
+        });
+    });
+});
@@ -0,0 +1,700 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const { once } = require("node:events");
+// Kept hold of before any timers are mocked, to wait for the bus in real time
+const { setTimeout: sleep } = require("node:timers/promises");
+const { DBusError } = require("dbus-next");
+const { hasDbusDaemon } = require("./fake-bluez.js");
+const { ADDRESS, MESSAGE, startFakeIPhone } = require("./fake-notifications.js");
+const { ANCSHistory, MemoryHistoryStore } = require("../history.js");
+const { ANCSClient, ClientError, ClientErrorCode, ControlPointError, ControlPointErrorCode, ProtocolError, ProtocolErrorCode, EventID, EventFlags, CategoryID, NotificationAttributeID } = require("../index.js");
+
+describe("ANCSClient", { skip: !hasDbusDaemon && "dbus-daemon is not installed" }, () => {
+    let fake, client;
+
+    beforeEach(async () => {
+        fake = await startFakeIPhone();
+        client = new ANCSClient(ADDRESS, { bus: fake.connect(), timeout: 1000 });
+    });
+
+    afterEach(async () => {
+        await client.stopListening().catch(() => {});
+        await fake.stop();
+    });
+
+    describe("isSupported", () => {
+        it("finds the ANCS characteristics under the device", async () => {
+            assert.strictEqual(await client.isSupported(), true);
+        });
+
+        it("is false for other devices", async () => {
+            let other = new ANCSClient("01:23:45:67:89:AC", { bus: fake.connect() });
+            assert.strictEqual(await other.isSupported(), false);
+        });
+
+        it("is false once the characteristics are gone", async () => {
+            fake.disconnect();
+            assert.strictEqual(await client.isSupported(), false);
+        });
+    });
+
+    describe("startListening", () => {
+        it("subscribes to the Data Source and Notification Source", async () => {
+            assert.strictEqual(await client.startListening(), true);
+            let { notificationSource, dataSource, controlPoint } = fake.characteristics;
+            assert.strictEqual(notificationSource.notifying, true);
+            assert.strictEqual(dataSource.notifying, true);
+            assert.strictEqual(controlPoint.notifying, false);
+        });
+
+        it("returns false without the ANCS characteristics", async () => {
+            fake.disconnect();
+            assert.strictEqual(await client.startListening(), false);
+        });
+
+        it("emits start", async () => {
+            let started = once(client, "start");
+            await client.startListening();
+            assert.deepStrictEqual(await started, [ADDRESS]);
+        });
+    });
+
+    describe("notifications", () => {
+        beforeEach(async () => {
+            await client.startListening();
+        });
+
+        it("fetches attributes and emits created", async () => {
+            let created = once(client, "created");
+            fake.sendNotification(EventID.Added, "00000001", { flags: EventFlags.PositiveAction | EventFlags.NegativeAction, category: CategoryID.Social, categoryCount: 2 });
+            let [notification] = await created;
+            assert.strictEqual(notification.id, "00000001");
+            assert.strictEqual(notification.appID, "com.apple.MobileSMS");
+            assert.strictEqual(notification.title, "Alice");
+            assert.strictEqual(notification.body, "Are we still on for lunch?");
+            assert.strictEqual(notification.category, CategoryID.Social);
+            assert.strictEqual(notification.categoryCount, 2);
+            assert.strictEqual(notification.flags, EventFlags.PositiveAction | EventFlags.NegativeAction);
+            assert.deepStrictEqual(notification.date, new Date(2026, 9, 18, 12, 30, 0));
+            assert.strictEqual(client.notifications["00000001"], notification);
+            // 00 (CommandID) (NotificationUID) then the default attributes
+            assert.strictEqual(fake.writes[0].toString("hex"), "0000000001" + "00" + "01ffff" + "02ffff" + "03ffff" + "05");
+        });
+
+        it("converts to JSON", async () => {
+            let created = once(client, "created");
+            fake.sendNotification(EventID.Added, "00000001", { flags: EventFlags.PreExisting, category: CategoryID.Social });
+            let [notification] = await created;
+            let json = JSON.parse(JSON.stringify(notification));
+            assert.strictEqual(json.id, "00000001");
+            assert.strictEqual(json.title, "Alice");
+            assert.strictEqual(json.date, new Date(2026, 9, 18, 12, 30, 0).toISOString());
+            assert.strictEqual(json.category, CategoryID.Social);
+            assert.strictEqual(json.preExisting, true);
+            assert.ok(!("positiveActionLabel" in json));
+            assert.strictEqual(Buffer.from(json.raw, "base64").toString("hex"), notification.toString());
+        });
+
+        it("puts fragmented Data Source responses back together", async () => {
+            fake.mtu = 8;
+            let created = once(client, "created");
+            fake.sendNotification(EventID.Added, "00000001");
+            let [notification] = await created;
+            assert.strictEqual(notification.body, "Are we still on for lunch?");
+        });
+
+        it("emits edited when a notification changes", async () => {
+            let created = once(client, "created");
+            fake.sendNotification(EventID.Added, "00000001");
+            await created;
+            fake.notifications["00000001"] = MESSAGE.map(([id, value]) => [id, id == NotificationAttributeID.Message ? "Running late!" : value]);
+            let edited = once(client, "edited");
+            fake.sendNotification(EventID.Modified, "00000001");
+            let [notification] = await edited;
+            assert.strictEqual(notification.body, "Running late!");
+        });
+
+        it("emits removed and forgets the notification", async () => {
+            let created = once(client, "created");
+            fake.sendNotification(EventID.Added, "00000001");
+            await created;
+            let removed = once(client, "removed");
+            fake.sendNotification(EventID.Removed, "00000001");
+            assert.deepStrictEqual(await removed, ["00000001"]);
+            assert.strictEqual(client.notifications["00000001"], undefined);
+        });
+
+        it("drops the attributes of a notification removed while they were being fetched", async () => {
+            fake.notifications["00000002"] = MESSAGE;
+            let answer = fake.onControlPointWrite;
+            fake.onControlPointWrite = async (value) => {
+                // iOS removes it before it answers
+                if (value.subarray(1, 5).toString("hex") == "00000001") fake.sendNotification(EventID.Removed, "00000001");
+                await sleep(20);
+                return answer(value);
+            };
+            client.on("created", (notification) => assert.notStrictEqual(notification.id, "00000001"));
+            client.on("removed", () => assert.fail("Nobody heard it was created, so it shouldn't be removed"));
+            let created = once(client, "created");
+            fake.sendNotification(EventID.Added, "00000001");
+            fake.sendNotification(EventID.Added, "00000002");
+            assert.strictEqual((await created)[0].id, "00000002");
+            assert.deepStrictEqual(Object.keys(client.notifications), ["00000002"]);
+        });
+
+        it("handles several notifications arriving at once, one request at a time", async () => {
+            fake.notifications["00000002"] = MESSAGE.map(([id, value]) => [id, id == NotificationAttributeID.Title ? "Bob" : value]);
+            let titles = [];
+            let done = new Promise((resolve) => client.on("created", (notification) => {
+                titles.push(notification.title);
+                if (titles.length == 2) resolve();
+            }));
+            fake.sendNotification(EventID.Added, "00000001");
+            fake.sendNotification(EventID.Added, "00000002");
+            await done;
+            assert.deepStrictEqual(titles, ["Alice", "Bob"]);
+        });
+
+        it("doesn't parse anything with noparse", async () => {
+            await client.stopListening();
+            await client.startListening(true);
+            let created = once(client, "created");
+            fake.sendNotification(EventID.Added, "00000001");
+            let [notification] = await created;
+            assert.strictEqual(notification.title, undefined);
+            assert.ok(notification.raw.includes("Alice"));
+        });
+    });
+
+    describe("malformed packets", () => {
+        beforeEach(async () => {
+            await client.startListening();
+        });
+
+        it("emits an error for a bad Notification Source packet, and carries on", async () => {
+            let errored = once(client, "error");
+            fake.characteristics.notificationSource.notify(Buffer.from("0000000001", "hex"));
+            let [error] = await errored;
+            assert.ok(error instanceof ProtocolError);
+            assert.strictEqual(error.code, ProtocolErrorCode.InvalidLength);
+            let created = once(client, "created");
+            fake.sendNotification(EventID.Added, "00000001");
+            await created;
+        });
+
+        it("emits an error for a bad Data Source response, without a notification", async () => {
+            // Answer with a Message when a Title (amongst others) was asked for
+            fake.onControlPointWrite = (value) => {
+                setTimeout(() => fake.sendData(Buffer.concat([value.subarray(0, 5), Buffer.from("030100", "hex"), Buffer.from("!")])), 5);
+            };
+            client.on("created", () => assert.fail("Should not have been created"));
+            let errored = once(client, "error");
+            fake.sendNotification(EventID.Added, "00000001");
+            let [error] = await errored;
+            assert.strictEqual(error.code, ProtocolErrorCode.UnexpectedAttribute);
+            assert.deepStrictEqual(client.notifications, {});
+        });
+    });
+
+    describe("fetchAttributes", () => {
+        it("fetches more attributes for a notification", async () => {
+            await client.startListening({ attributes: [NotificationAttributeID.AppIdentifier] });
+            let created = once(client, "created");
+            fake.sendNotification(EventID.Added, "00000001");
+            let [notification] = await created;
+            assert.strictEqual(notification.title, undefined);
+            let fetched = await client.fetchAttributes("00000001", [{ id: NotificationAttributeID.Title, maxLength: 3 }]);
+            assert.strictEqual(fetched.title, "Ali");
+            assert.strictEqual(fetched.appID, "com.apple.MobileSMS");
+            assert.strictEqual(client.notifications["00000001"], fetched);
+        });
+
+        it("keeps the notification as it was sent, so it isn't edited when iOS sends it again", async () => {
+            fake.notifications["00000002"] = MESSAGE;
+            await client.startListening({ attributes: [NotificationAttributeID.AppIdentifier] });
+            let created = once(client, "created");
+            fake.sendNotification(EventID.Added, "00000001");
+            let [notification] = await created;
+            client.on("edited", () => assert.fail("Should not have been edited"));
+            let fetched = await client.fetchAttributes("00000001", [NotificationAttributeID.Title]);
+            assert.strictEqual(fetched.title, "Alice");
+            assert.ok(fetched.raw.equals(notification.raw));
+            // As after resubscribing. The next one arriving means this one has been dealt with.
+            created = once(client, "created");
+            fake.sendNotification(EventID.Added, "00000001", { flags: EventFlags.PreExisting });
+            fake.sendNotification(EventID.Added, "00000002");
+            await created;
+        });
+
+        it("rejects with a ControlPointError for unknown notifications", async () => {
+            await client.startListening();
+            await assert.rejects(client.fetchAttributes("0000ffff", [NotificationAttributeID.Title]), (e) => e instanceof ControlPointError && e.code == ControlPointErrorCode.InvalidParameter);
+        });
+
+        it("rejects when not listening", async () => {
+            await assert.rejects(client.fetchAttributes("00000001", [NotificationAttributeID.Title]), /Not listening/);
+            await assert.rejects(client.getAppName("com.apple.MobileSMS"), (e) => e instanceof ClientError && e.code == ClientErrorCode.NotListening);
+        });
+    });
+
+    describe("getAppName", () => {
+        it("fetches and caches app names", async () => {
+            await client.startListening();
+            assert.strictEqual(await client.getAppName("com.apple.MobileSMS"), "Messages");
+            assert.strictEqual(client.appNames["com.apple.MobileSMS"], "Messages");
+            let writes = fake.writes.length;
+            assert.strictEqual(await client.getAppName("com.apple.MobileSMS"), "Messages");
+            assert.strictEqual(fake.writes.length, writes);
+        });
+
+        it("asks once for a burst of requests for the same app", async () => {
+            await client.startListening();
+            let names = await Promise.all([1, 2, 3].map(() => client.getAppName("com.apple.MobileSMS")));
+            assert.deepStrictEqual(names, ["Messages", "Messages", "Messages"]);
+            assert.strictEqual(fake.writes.filter((value) => value[0] == 1).length, 1);
+        });
+
+        describe("with appNameCache", () => {
+            let directory, file;
+
+            beforeEach(async () => {
+                directory = await fs.mkdtemp(path.join(os.tmpdir(), "ancsjs-"));
+                file = path.join(directory, "apps.json");
+            });
+
+            afterEach(async () => {
+                await fs.rm(directory, { recursive: true, force: true });
+            });
+
+            it("saves names, and loads them back next time", async () => {
+                await client.startListening({ appNameCache: file });
+                await client.getAppName("com.apple.MobileSMS");
+                assert.deepStrictEqual(JSON.parse(await fs.readFile(file, "utf8")), { "com.apple.MobileSMS": "Messages" });
+                await assert.rejects(fs.access(file + ".tmp"));
+                await client.stopListening();
+
+                let next = new ANCSClient(ADDRESS, { bus: fake.connect(), appNameCache: file });
+                await next.startListening();
+                try {
+                    assert.strictEqual(next.appNames["com.apple.MobileSMS"], "Messages");
+                } finally {
+                    await next.stopListening();
+                }
+            });
+
+            it("starts without a cache that isn't valid, with an error", async () => {
+                // As if the process died while writing it
+                await fs.writeFile(file, '{"com.apple.MobileSMS": "Mess');
+                let errored = once(client, "error");
+                assert.strictEqual(await client.startListening({ appNameCache: file }), true);
+                assert.match((await errored)[0].message, /Couldn't load the app name cache, so starting without it/);
+                assert.deepStrictEqual(client.appNames, {});
+                await client.getAppName("com.apple.MobileSMS");
+                assert.deepStrictEqual(JSON.parse(await fs.readFile(file, "utf8")), { "com.apple.MobileSMS": "Messages" });
+            });
+        });
+
+        it("doesn't cache unknown apps", async () => {
+            await client.startListening();
+            assert.strictEqual(await client.getAppName("com.example.unknown"), "");
+            assert.strictEqual(client.appNames["com.example.unknown"], undefined);
+        });
+
+        it("puts responses back together when the header itself is split over packets", async () => {
+            let appID = "com.example.enterprise.messenger.internal";
+            fake.apps[appID] = "Messenger";
+            // 01 (AppIdentifier) 00 takes up several packets before any attributes arrive
+            fake.mtu = 8;
+            await client.startListening();
+            assert.strictEqual(await client.getAppName(appID), "Messenger");
+        });
+    });
+
+    describe("performAction", () => {
+        beforeEach(async () => {
+            await client.startListening();
+            let created = once(client, "created");
+            fake.sendNotification(EventID.Added, "00000001", { flags: EventFlags.NegativeAction });
+            await created;
+        });
+
+        it("writes PerformNotificationAction to the Control Point", async () => {
+            await client.performAction("00000001", "negative");
+            assert.deepStrictEqual(fake.actions, [["00000001", 1]]);
+            assert.strictEqual(fake.writes.at(-1).toString("hex"), "020000000101");
+        });
+
+        it("sends back all 4 bytes of the notification ID", async () => {
+            fake.notifications["78563412"] = MESSAGE;
+            let created = once(client, "created");
+            fake.sendNotification(EventID.Added, "78563412", { flags: EventFlags.PositiveAction | EventFlags.NegativeAction });
+            let [notification] = await created;
+            assert.strictEqual(notification.id, "78563412");
+            await client.performAction(notification.id, "positive");
+            await client.performAction(notification.id, "negative");
+            assert.deepStrictEqual(fake.writes.slice(-2).map((write) => write.toString("hex")), ["027856341200", "027856341201"]);
+            assert.deepStrictEqual(fake.actions, [["78563412", 0], ["78563412", 1]]);
+        });
+
+        it("performs the actions the Notification Source flags offer, from the notification", async () => {
+            fake.notifications["0a0b0c0d"] = MESSAGE;
+            fake.notifications["1a1b1c1d"] = MESSAGE;
+            let created = once(client, "created");
+            fake.sendNotification(EventID.Added, "0a0b0c0d", { flags: EventFlags.PositiveAction, category: CategoryID.IncomingCall });
+            let [call] = await created;
+            created = once(client, "created");
+            fake.sendNotification(EventID.Added, "1a1b1c1d", { flags: EventFlags.NegativeAction, category: CategoryID.Social });
+            let [message] = await created;
+            await call.performPositiveAction();
+            await message.performNegativeAction();
+            assert.deepStrictEqual(fake.writes.slice(-2).map((write) => write.toString("hex")), ["020a0b0c0d00", "021a1b1c1d01"]);
+            await assert.rejects(call.performNegativeAction(), /no negative action/);
+            await assert.rejects(message.performPositiveAction(), /no positive action/);
+            assert.strictEqual(fake.writes.length, 5);
+        });
+
+        it("refuses actions the notification doesn't offer", async () => {
+            await assert.rejects(client.performAction("00000001", "positive"), /no positive action/);
+            await assert.rejects(client.performAction("00000001", "positive"), (e) => e instanceof ClientError && e.code == ClientErrorCode.ActionNotOffered);
+            assert.deepStrictEqual(fake.actions, []);
+        });
+
+        it("turns ATT errors into ControlPointErrors", async () => {
+            fake.onControlPointWrite = () => {
+                throw new DBusError("org.bluez.Error.Failed", "Operation failed with ATT error: 0xa3");
+            };
+            await assert.rejects(client.performAction("00000001", "negative"), (e) => e instanceof ControlPointError && e.code == ControlPointErrorCode.ActionFailed);
+        });
+    });
+
+    describe("stopListening", () => {
+        it("stops notifying and emits stop", async () => {
+            await client.startListening();
+            let stopped = once(client, "stop");
+            assert.strictEqual(await client.stopListening(), true);
+            await stopped;
+            assert.strictEqual(fake.characteristics.notificationSource.notifying, false);
+            assert.strictEqual(fake.characteristics.dataSource.notifying, false);
+        });
+
+        it("returns false when not listening", async () => {
+            assert.strictEqual(await client.stopListening(), false);
+        });
+
+        it("stops sending events", async () => {
+            await client.startListening();
+            await client.stopListening();
+            client.on("created", () => assert.fail("Should not have been created"));
+            fake.sendNotification(EventID.Added, "00000001");
+            await new Promise((resolve) => setTimeout(resolve, 100));
+            assert.deepStrictEqual(fake.writes, []);
+        });
+    });
+
+    describe("events", () => {
+        it("iterates over notification events until the client stops", async () => {
+            await client.startListening();
+            let events = client.events();
+            fake.sendNotification(EventID.Added, "00000001");
+            let { value: created } = await events.next();
+            assert.strictEqual(created.type, "created");
+            assert.strictEqual(created.notification.title, "Alice");
+            fake.sendNotification(EventID.Removed, "00000001");
+            await client.stopListening();
+            let rest = [];
+            for await (const event of events) rest.push(event);
+            assert.deepStrictEqual(rest.map(({ type, id, notification }) => [type, id, notification.title]), [["removed", "00000001", "Alice"]]);
+        });
+
+        it("streams them to a Readable, which can be aborted", async () => {
+            await client.startListening();
+            let controller = new AbortController();
+            let stream = client.createReadStream({ signal: controller.signal });
+            assert.strictEqual(stream.readableObjectMode, true);
+            fake.sendNotification(EventID.Added, "00000001");
+            let [event] = await once(stream, "data");
+            assert.strictEqual(event.type, "created");
+            assert.strictEqual(event.id, "00000001");
+            let errored = once(stream, "error");
+            controller.abort();
+            let [error] = await errored;
+            assert.strictEqual(error.name, "AbortError");
+            assert.strictEqual(client.listenerCount("created"), 0);
+        });
+    });
+
+    describe("reconnect", () => {
+        it("resubscribes when the device comes back, and removes what went away", async () => {
+            fake.notifications["00000002"] = MESSAGE;
+            await client.startListening({ reconnect: { initialDelay: 50, settleTime: 200 } });
+            let created = once(client, "created");
+            fake.sendNotification(EventID.Added, "00000001");
+            await created;
+            created = once(client, "created");
+            fake.sendNotification(EventID.Added, "00000002");
+            await created;
+
+            let disconnected = once(client, "disconnected");
+            fake.disconnect();
+            await disconnected;
+
+            let reconnected = once(client, "reconnected");
+            fake.reconnect();
+            await reconnected;
+            assert.strictEqual(fake.characteristics.notificationSource.notifying, true);
+
+            // iOS sends everything it still has again, with the PreExisting flag
+            let removed = once(client, "removed");
+            fake.sendNotification(EventID.Added, "00000002", { flags: EventFlags.PreExisting });
+            assert.deepStrictEqual(await removed, ["00000001"]);
+            assert.ok(client.notifications["00000002"]);
+        });
+
+        describe("with mocked timers", () => {
+            let lookups;
+
+            beforeEach(async () => {
+                await client.startListening({ reconnect: { initialDelay: 1000, maxDelay: 4000, maxAttempts: 5 } });
+                // A round trip on the client's bus, so the daemon has its signal matches before the device goes
+                await client.isSupported();
+                mock.timers.enable({ apis: ["setTimeout"] });
+                let disconnected = once(client, "disconnected");
+                fake.disconnect();
+                await disconnected;
+                lookups = fake.lookups;
+            });
+
+            afterEach(() => {
+                mock.timers.reset();
+            });
+
+            /**
+             * Moves the clock on, then waits for any attempt it starts to finish
+             * @param {Number} ms
+             * @returns {Promise<Number>} How many attempts have been made since disconnecting
+             */
+            async function tick(ms) {
+                mock.timers.tick(ms);
+                await sleep(50);
+                return fake.lookups - lookups;
+            }
+
+            it("backs off, doubling the delay up to maxDelay", async () => {
+                assert.strictEqual(await tick(999), 0);
+                assert.strictEqual(await tick(1), 1);
+                assert.strictEqual(await tick(1999), 1);
+                assert.strictEqual(await tick(1), 2);
+                assert.strictEqual(await tick(3999), 2);
+                assert.strictEqual(await tick(1), 3);
+                assert.strictEqual(await tick(3999), 3);
+                assert.strictEqual(await tick(1), 4);
+
+                let reconnected = once(client, "reconnected");
+                fake.reconnect();
+                await sleep(50);
+                await tick(500);
+                await reconnected;
+                assert.strictEqual(fake.characteristics.notificationSource.notifying, true);
+            });
+
+            it("gives up after maxAttempts, and stops", async () => {
+                let errors = [];
+                client.on("error", (e) => errors.push(e));
+                // once() would reject on the error that comes first
+                let stopped = new Promise((resolve) => client.once("stop", resolve));
+                for (const [delay, attempts] of [[1000, 1], [2000, 2], [4000, 3], [4000, 4], [4000, 5]]) assert.strictEqual(await tick(delay), attempts);
+                await stopped;
+                assert.match(errors[0].message, /Gave up reconnecting after 5 attempts/);
+                assert.strictEqual(await tick(60000), 5);
+                fake.reconnect();
+                assert.strictEqual(await tick(1000), 5);
+                assert.strictEqual(fake.characteristics.notificationSource.notifying, false);
+                assert.strictEqual(await client.stopListening(), false);
+            });
+
+            it("stops trying when stopListening() is called while waiting", async () => {
+                assert.strictEqual(await tick(500), 0);
+                let stopped = once(client, "stop");
+                assert.strictEqual(await client.stopListening(), true);
+                await stopped;
+                client.on("reconnected", () => assert.fail("Should not have reconnected"));
+                assert.strictEqual(await tick(60000), 0);
+                fake.reconnect();
+                assert.strictEqual(await tick(1000), 0);
+                assert.strictEqual(fake.characteristics.notificationSource.notifying, false);
+            });
+        });
+    });
+
+    describe("rules", () => {
+        beforeEach(async () => {
+            fake.notifications["00000002"] = [[NotificationAttributeID.AppIdentifier, "com.facebook.Facebook"], ...MESSAGE.slice(1)];
+            await client.startListening();
+        });
+
+        it("calls handlers in priority order, until one stops", async () => {
+            let calls = [];
+            client.addRule({}, () => calls.push("everything"));
+            client.addRule({ appID: "com.apple.MobileSMS", bodyMatches: "LUNCH" }, (notification, type) => calls.push(type + " " + notification.title), { priority: 10, stop: true });
+            let created = once(client, "created");
+            fake.sendNotification(EventID.Added, "00000001");
+            await created;
+            created = once(client, "created");
+            fake.sendNotification(EventID.Added, "00000002");
+            await created;
+            assert.deepStrictEqual(calls, ["created Alice", "everything"]);
+        });
+
+        it("only fetches the app ID for muted apps, and never mentions them", async () => {
+            client.addRule({ appID: "com.facebook.Facebook" }, null, { mute: true });
+            client.on("created", (notification) => assert.notStrictEqual(notification.id, "00000002"));
+            client.on("removed", (id) => assert.notStrictEqual(id, "00000002"));
+            fake.sendNotification(EventID.Added, "00000002");
+            fake.sendNotification(EventID.Removed, "00000002");
+            let created = once(client, "created");
+            fake.sendNotification(EventID.Added, "00000001");
+            let [notification] = await created;
+            assert.strictEqual(notification.title, "Alice");
+            assert.strictEqual(client.notifications["00000002"], undefined);
+            // Just the app ID for each, then the rest for the one that wasn't muted
+            assert.deepStrictEqual(fake.writes.map((write) => write.toString("hex")), ["000000000200", "000000000100", "0000000001" + "01ffff" + "02ffff" + "03ffff" + "05"]);
+        });
+
+        it("doesn't fetch anything for categories that are muted", async () => {
+            client.addRule({ category: CategoryID.Social }, null, { mute: true });
+            client.on("created", () => assert.fail("Should not have been created"));
+            fake.sendNotification(EventID.Added, "00000001", { category: CategoryID.Social });
+            await new Promise((resolve) => setTimeout(resolve, 100));
+            assert.deepStrictEqual(fake.writes, []);
+        });
+
+        it("fetches only the attributes a rule asks for", async () => {
+            client.addRule({ category: CategoryID.Email }, null, { attributes: [NotificationAttributeID.AppIdentifier, { id: NotificationAttributeID.Title, maxLength: 3 }] });
+            let created = once(client, "created");
+            fake.sendNotification(EventID.Added, "00000001", { category: CategoryID.Email });
+            let [notification] = await created;
+            assert.strictEqual(notification.title, "Ali");
+            assert.strictEqual(notification.body, undefined);
+            assert.strictEqual(fake.writes[0].toString("hex"), "0000000001" + "00" + "010300");
+        });
+
+        it("mutes on text once everything is fetched", async () => {
+            client.addRule({ titleMatches: /^alice$/i }, null, { mute: true });
+            client.on("created", () => assert.fail("Should not have been created"));
+            fake.sendNotification(EventID.Added, "00000001");
+            await new Promise((resolve) => setTimeout(resolve, 100));
+            assert.strictEqual(fake.writes.length, 1);
+            assert.deepStrictEqual(client.notifications, {});
+        });
+
+        it("passes errors from handlers along", async () => {
+            client.addRule({}, () => {
+                throw new Error("Oops");
+            });
+            let errored = once(client, "error");
+            // once() would reject on the error, so this one's listened for by hand
+            let created = new Promise((resolve) => client.on("created", resolve));
+            fake.sendNotification(EventID.Added, "00000001");
+            let [error] = await errored;
+            assert.strictEqual(error.message, "Oops");
+            await created;
+        });
+
+        it("removes rules", async () => {
+            let rule = client.addRule({}, () => assert.fail("Should have been removed"));
+            assert.deepStrictEqual(client.rules, [rule]);
+            assert.strictEqual(client.removeRule(rule), true);
+            assert.strictEqual(client.removeRule(rule.id), false);
+            let created = once(client, "created");
+            fake.sendNotification(EventID.Added, "00000001");
+            await created;
+        });
+    });
+
+    describe("history", () => {
+        it("records changes, and restores what's still around when listening starts again", async () => {
+            let history = new ANCSHistory(new MemoryHistoryStore());
+            fake.notifications["00000002"] = MESSAGE;
+            client = new ANCSClient(ADDRESS, { bus: fake.connect(), history });
+            await client.startListening();
+            for (const id of ["00000001", "00000002"]) {
+                let created = once(client, "created");
+                fake.sendNotification(EventID.Added, id);
+                await created;
+            }
+            let removed = once(client, "removed");
+            fake.sendNotification(EventID.Removed, "00000002");
+            await removed;
+            await client.stopListening();
+            assert.deepStrictEqual((await history.query()).map((record) => [record.type, record.id]), [["created", "00000001"], ["created", "00000002"], ["removed", "00000002"]]);
+
+            // A new client (as after a restart) gets the cache back before anything arrives
+            fake.notifications["00000003"] = MESSAGE;
+            client = new ANCSClient(ADDRESS, { bus: fake.connect(), history, reconnect: { settleTime: 200 } });
+            let created = [];
+            client.on("created", (notification) => created.push(notification.id));
+            await client.startListening();
+            assert.strictEqual(client.notifications["00000001"].title, "Alice");
+            assert.ok(client.notifications["00000001"].raw.length > 0);
+
+            // 00000001 has gone while we weren't listening, so iOS only sends 00000003
+            removed = once(client, "removed");
+            fake.sendNotification(EventID.Added, "00000003", { flags: EventFlags.PreExisting });
+            assert.deepStrictEqual(await removed, ["00000001"]);
+            assert.deepStrictEqual(created, ["00000003"]);
+            assert.deepStrictEqual((await history.live()).map((record) => record.id), ["00000003"]);
+        });
+
+        it("doesn't remove anything once stopped, even while reconciling", async () => {
+            let history = new ANCSHistory(new MemoryHistoryStore());
+            client = new ANCSClient(ADDRESS, { bus: fake.connect(), history });
+            await client.startListening();
+            let created = once(client, "created");
+            fake.sendNotification(EventID.Added, "00000001");
+            await created;
+            await client.stopListening();
+
+            // Without the reconnect option, so reconciling takes the default 3 seconds
+            client = new ANCSClient(ADDRESS, { bus: fake.connect(), history });
+            let events = [];
+            client.on("removed", (id) => events.push(["removed", id]));
+            client.on("stop", () => events.push(["stop"]));
+            // Connected before the timers are mocked
+            await client.isSupported();
+            mock.timers.enable({ apis: ["setTimeout"] });
+            try {
+                await client.startListening();
+                assert.ok(client.notifications["00000001"]);
+                await client.stopListening();
+                mock.timers.tick(60000);
+            } finally {
+                mock.timers.reset();
+            }
+            await sleep(50);
+            assert.deepStrictEqual(events, [["stop"]]);
+            assert.deepStrictEqual((await history.query()).map((record) => record.type), ["created"]);
+        });
+
+        it("doesn't say an unchanged notification was created again", async () => {
+            let history = new ANCSHistory(new MemoryHistoryStore());
+            client = new ANCSClient(ADDRESS, { bus: fake.connect(), history });
+            await client.startListening();
+            let created = once(client, "created");
+            fake.sendNotification(EventID.Added, "00000001");
+            await created;
+            await client.stopListening();
+
+            client = new ANCSClient(ADDRESS, { bus: fake.connect(), history, reconnect: { settleTime: 200 } });
+            client.on("created", () => assert.fail("Should not have been created"));
+            client.on("edited", () => assert.fail("Should not have been edited"));
+            client.on("removed", () => assert.fail("Should not have been removed"));
+            await client.startListening();
+            fake.sendNotification(EventID.Added, "00000001", { flags: EventFlags.PreExisting });
+            await new Promise((resolve) => setTimeout(resolve, 400));
+            assert.ok(client.notifications["00000001"]);
+        });
+    });
+});
@@ -0,0 +1,270 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const codec = require("../codec.js");
+const { ProtocolError, ProtocolErrorCode, EventID, CommandID, ActionID, NotificationAttributeID, AppAttributeID } = codec;
+
+// The fuzz tests use a seeded generator, so a failure can be reproduced. Set SEED to try others.
+const SEED = Number(process.env.SEED ?? 0xA4C5);
+const ITERATIONS = 2000;
+
+/**
+ * A small seeded random number generator (mulberry32)
+ * @param {Number} seed
+ * @returns {function(Number): Number} Gives a whole number from 0 up to (but not including) the number given
+ */
+function random(seed) {
+    return (below) => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return (((t ^ (t >>> 14)) >>> 0) % below);
+    };
+}
+
+function randomBytes(next, length) {
+    return Buffer.from(Array.from({ length }, () => next(256)));
+}
+
+/**
+ * Makes a well-formed GetNotificationAttributes response, and what it should decode to
+ * @param {function(Number): Number} next
+ * @returns {{data: Buffer, id: String, attributeIDs: Number[], values: String[]}}
+ */
+function randomResponse(next) {
+    let id = randomBytes(next, 4).toString("hex");
+    let attributeIDs = Array.from({ length: 1 + next(6) }, () => next(8));
+    let values = attributeIDs.map(() => "x".repeat(next(40)));
+    let parts = [Buffer.from([CommandID.GetNotificationAttributes]), Buffer.from(id, "hex")];
+    attributeIDs.forEach((attributeID, i) => {
+        let header = Buffer.alloc(3);
+        header[0] = attributeID;
+        header.writeUInt16LE(values[i].length, 1);
+        parts.push(header, Buffer.from(values[i]));
+    });
+    return { data: Buffer.concat(parts), id, attributeIDs, values };
+}
+
+/**
+ * Runs a decoder, checking it either gives a result or throws a ProtocolError (and nothing else)
+ * @param {Function} decode
+ * @returns {*} The result, or undefined if it threw
+ */
+function decodeSafely(decode) {
+    try {
+        return decode();
+    } catch (e) {
+        assert.ok(e instanceof ProtocolError, "Threw something other than a ProtocolError: " + e?.stack);
+        assert.ok(Object.values(ProtocolErrorCode).includes(e.code), "Unknown error code " + e.code);
+    }
+}
+
+function isProtocolError(code) {
+    return (e) => e instanceof ProtocolError && e.code == code;
+}
+
+describe("codec", () => {
+    describe("encoding", () => {
+        it("encodes GetNotificationAttributes, with max lengths where needed", () => {
+            let command = codec.encodeGetNotificationAttributes("0a0b0c0d", [NotificationAttributeID.AppIdentifier, { id: NotificationAttributeID.Title, maxLength: 32 }, NotificationAttributeID.Message]);
+            assert.strictEqual(command.toString("hex"), "000a0b0c0d" + "00" + "012000" + "03ffff");
+        });
+
+        it("clamps max lengths", () => {
+            let command = codec.encodeGetNotificationAttributes("00000001", [{ id: NotificationAttributeID.Subtitle, maxLength: 0 }, { id: NotificationAttributeID.Title, maxLength: 1e9 }]);
+            assert.strictEqual(command.toString("hex"), "0000000001" + "020100" + "01ffff");
+        });
+
+        it("encodes GetAppAttributes", () => {
+            assert.strictEqual(codec.encodeGetAppAttributes("com.a").toString("hex"), "01" + Buffer.from("com.a").toString("hex") + "00" + "00");
+        });
+
+        it("encodes PerformNotificationAction", () => {
+            assert.strictEqual(codec.encodePerformNotificationAction("00000001", ActionID.Negative).toString("hex"), "020000000101");
+        });
+
+        it("refuses invalid input", () => {
+            let invalid = isProtocolError(ProtocolErrorCode.InvalidArgument);
+            for (const id of [undefined, 1, "", "0000001", "000000001", "zzzzzzzz"]) {
+                assert.throws(() => codec.encodeGetNotificationAttributes(id, [0]), invalid);
+                assert.throws(() => codec.encodePerformNotificationAction(id, ActionID.Positive), invalid);
+            }
+            for (const attributes of [undefined, [], [8], [-1], ["1"], [null], [{ id: 1, maxLength: "lots" }]]) {
+                assert.throws(() => codec.encodeGetNotificationAttributes("00000001", attributes), invalid);
+            }
+            for (const appID of [undefined, "", "com.\0evil", 42]) {
+                assert.throws(() => codec.encodeGetAppAttributes(appID), invalid);
+            }
+            assert.throws(() => codec.encodeGetAppAttributes("com.a", [1]), invalid);
+            assert.throws(() => codec.encodePerformNotificationAction("00000001", 2), invalid);
+        });
+    });
+
+    describe("decodeNotificationSource", () => {
+        it("decodes a packet", () => {
+            assert.deepStrictEqual(codec.decodeNotificationSource(Buffer.from("0118040312345678", "hex")), {
+                eventID: EventID.Modified,
+                flags: 0x18,
+                category: 4,
+                categoryCount: 3,
+                id: "12345678",
+            });
+        });
+
+        it("refuses packets of the wrong length", () => {
+            for (const length of [0, 1, 7, 9, 512]) {
+                assert.throws(() => codec.decodeNotificationSource(Buffer.alloc(length)), isProtocolError(ProtocolErrorCode.InvalidLength));
+            }
+        });
+
+        it("refuses unknown EventIDs", () => {
+            assert.throws(() => codec.decodeNotificationSource(Buffer.from("0300000000000001", "hex")), isProtocolError(ProtocolErrorCode.UnknownEvent));
+        });
+
+        it("refuses things that aren't packets", () => {
+            for (const data of [undefined, null, "0000000000000001", 8, {}]) {
+                assert.throws(() => codec.decodeNotificationSource(data), isProtocolError(ProtocolErrorCode.InvalidArgument));
+            }
+        });
+
+        it("never throws anything but a ProtocolError for random bytes", () => {
+            let next = random(SEED);
+            for (let i = 0; i < ITERATIONS; i++) {
+                let data = randomBytes(next, next(12));
+                let event = decodeSafely(() => codec.decodeNotificationSource(data));
+                if (!event) continue;
+                assert.strictEqual(data.length, 8);
+                assert.ok(event.eventID <= EventID.Removed);
+                assert.match(event.id, /^[0-9a-f]{8}$/);
+            }
+        });
+    });
+
+    describe("decodeNotificationAttributes", () => {
+        it("decodes and converts attributes", () => {
+            let data = Buffer.concat([
+                Buffer.from("0000000001", "hex"),
+                Buffer.from("010500", "hex"), Buffer.from("Hello"),
+                Buffer.from("040200", "hex"), Buffer.from("12"),
+                Buffer.from("050f00", "hex"), Buffer.from("20261018T123000"),
+            ]);
+            let response = codec.decodeNotificationAttributes(data, [1, 4, 5]);
+            assert.strictEqual(response.id, "00000001");
+            assert.strictEqual(response.length, data.length);
+            assert.strictEqual(response.attributes[NotificationAttributeID.Title], "Hello");
+            assert.strictEqual(response.attributes[NotificationAttributeID.MessageSize], 12);
+            assert.deepStrictEqual(response.attributes[NotificationAttributeID.Date], new Date(2026, 9, 18, 12, 30, 0));
+        });
+
+        it("reads the month in dates as 1 to 12, like iOS sends it", () => {
+            let date = (text) => codec.decodeNotificationAttributes(Buffer.from("0000000001" + "050f00" + Buffer.from(text).toString("hex"), "hex")).attributes[NotificationAttributeID.Date];
+            assert.strictEqual(date("20260131T235959").getMonth(), 0);
+            assert.strictEqual(date("20261231T000000").getMonth(), 11);
+            assert.deepStrictEqual(date("20260228T090500"), new Date(2026, 1, 28, 9, 5, 0));
+            assert.strictEqual(date("20261301T000000"), "20261301T000000");
+        });
+
+        it("strips trailing null characters", () => {
+            let data = Buffer.from("0000000001" + "010300" + Buffer.from("Hi\0").toString("hex"), "hex");
+            assert.strictEqual(codec.decodeNotificationAttributes(data).attributes[NotificationAttributeID.Title], "Hi");
+        });
+
+        it("keeps dates and sizes it can't make sense of as strings", () => {
+            let value = (attributeID, text) => Buffer.concat([Buffer.from([attributeID, text.length, 0]), Buffer.from(text)]);
+            let data = Buffer.concat([Buffer.from("0000000001", "hex"), value(4, "lots"), value(5, "20261399T999999")]);
+            let { attributes } = codec.decodeNotificationAttributes(data);
+            assert.strictEqual(attributes[NotificationAttributeID.MessageSize], "lots");
+            assert.strictEqual(attributes[NotificationAttributeID.Date], "20261399T999999");
+        });
+
+        it("refuses responses that aren't what was asked for", () => {
+            let data = Buffer.from("0000000001" + "010100" + "41", "hex");
+            assert.throws(() => codec.decodeNotificationAttributes(data, [3]), isProtocolError(ProtocolErrorCode.UnexpectedAttribute));
+            assert.throws(() => codec.decodeNotificationAttributes(Buffer.concat([data, Buffer.from([0])]), [1]), isProtocolError(ProtocolErrorCode.InvalidLength));
+            assert.throws(() => codec.decodeNotificationAttributes(Buffer.from("01", "hex")), isProtocolError(ProtocolErrorCode.Truncated));
+            assert.throws(() => codec.decodeNotificationAttributes(Buffer.from("0100000001", "hex")), isProtocolError(ProtocolErrorCode.UnknownCommand));
+        });
+
+        it("decodes random well-formed responses", () => {
+            let next = random(SEED);
+            for (let i = 0; i < ITERATIONS; i++) {
+                let { data, id, attributeIDs, values } = randomResponse(next);
+                let response = codec.decodeNotificationAttributes(data, attributeIDs);
+                assert.strictEqual(response.id, id);
+                assert.strictEqual(codec.responseLength(data, 5, attributeIDs), data.length);
+                // Later attributes with the same ID win
+                attributeIDs.forEach((attributeID, index) => {
+                    if (attributeIDs.lastIndexOf(attributeID) == index) assert.strictEqual(response.attributes[attributeID], values[index]);
+                });
+            }
+        });
+
+        it("refuses every truncation of a response", () => {
+            let next = random(SEED + 1);
+            for (let i = 0; i < ITERATIONS / 10; i++) {
+                let { data, attributeIDs } = randomResponse(next);
+                for (let length = 0; length < data.length; length++) {
+                    let truncated = data.subarray(0, length);
+                    assert.throws(() => codec.decodeNotificationAttributes(truncated, attributeIDs), isProtocolError(ProtocolErrorCode.Truncated));
+                    if (length >= 5) assert.strictEqual(codec.responseLength(truncated, 5, attributeIDs), -1);
+                }
+            }
+        });
+
+        it("never throws anything but a ProtocolError, or half decodes, for mangled responses", () => {
+            let next = random(SEED + 2);
+            for (let i = 0; i < ITERATIONS; i++) {
+                let { data, attributeIDs } = randomResponse(next);
+                let mangled = Buffer.from(data);
+                // Flip some bits, then maybe chop some off or add some junk
+                for (let flips = 1 + next(4); flips > 0; flips--) mangled[next(mangled.length)] ^= 1 << next(8);
+                if (next(3) == 0) mangled = mangled.subarray(0, next(mangled.length));
+                if (next(3) == 0) mangled = Buffer.concat([mangled, randomBytes(next, next(8))]);
+
+                for (const expected of [attributeIDs, undefined]) {
+                    let response = decodeSafely(() => codec.decodeDataSource(mangled, expected));
+                    if (!response) continue;
+                    assert.strictEqual(response.length, mangled.length);
+                    if (expected) assert.deepStrictEqual(Object.keys(response.attributes).map(Number).sort(), [...new Set(expected)].sort());
+                    for (const value of Object.values(response.attributes)) {
+                        assert.ok(typeof value == "string" || typeof value == "number" || value instanceof Date);
+                    }
+                }
+                let length = decodeSafely(() => codec.responseLength(mangled, 5, attributeIDs));
+                if (length !== undefined) assert.ok(length == -1 || length <= mangled.length);
+            }
+        });
+
+        it("never throws anything but a ProtocolError for random bytes", () => {
+            let next = random(SEED + 3);
+            for (let i = 0; i < ITERATIONS; i++) {
+                let data = randomBytes(next, next(64));
+                // Make it look like a response half the time, so the attribute parsing gets a go
+                if (next(2) == 0 && data.length > 0) data[0] = next(2);
+                decodeSafely(() => codec.decodeDataSource(data));
+                decodeSafely(() => codec.decodeDataSource(data, [next(8), next(8)]));
+            }
+        });
+    });
+
+    describe("decodeAppAttributes", () => {
+        it("decodes the app identifier and display name", () => {
+            let data = Buffer.concat([Buffer.from([1]), Buffer.from("com.a\0"), Buffer.from("000800", "hex"), Buffer.from("Messages")]);
+            assert.deepStrictEqual(codec.decodeDataSource(data, [AppAttributeID.DisplayName]), {
+                commandID: CommandID.GetAppAttributes,
+                appID: "com.a",
+                attributes: { [AppAttributeID.DisplayName]: "Messages" },
+                length: data.length,
+            });
+        });
+
+        it("refuses an app identifier without its null terminator", () => {
+            assert.throws(() => codec.decodeAppAttributes(Buffer.concat([Buffer.from([1]), Buffer.from("com.a")])), isProtocolError(ProtocolErrorCode.Truncated));
+        });
+    });
+
+    it("refuses Data Source responses for other commands", () => {
+        for (const data of [Buffer.alloc(0), Buffer.from("02", "hex"), Buffer.from("ff00", "hex")]) {
+            assert.throws(() => codec.decodeDataSource(data), isProtocolError(ProtocolErrorCode.UnknownCommand));
+        }
+    });
+});
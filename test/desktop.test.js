@@ -0,0 +1,166 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { once } = require("node:events");
+const { DBusError } = require("dbus-next");
+const { hasDbusDaemon } = require("./fake-bluez.js");
+const { FakeNotificationServer, ADDRESS, startFakeIPhone } = require("./fake-notifications.js");
+const { ANCSDesktopBridge } = require("../desktop.js");
+const { ANCSClient, EventID, EventFlags, CategoryID, NotificationAttributeID } = require("../index.js");
+
+// A call from the fake iPhone, as attribute ID and value pairs
+const CALL = [
+    [NotificationAttributeID.AppIdentifier, "com.apple.mobilephone"],
+    [NotificationAttributeID.Title, "Alice"],
+    [NotificationAttributeID.Subtitle, "Mobile"],
+    [NotificationAttributeID.Message, "Incoming call <3"],
+    [NotificationAttributeID.Date, "20261018T123000"],
+];
+
+describe("ANCSDesktopBridge", { skip: !hasDbusDaemon && "dbus-daemon is not installed" }, () => {
+    let fake, server, client, bridge;
+
+    beforeEach(async () => {
+        fake = await startFakeIPhone();
+        fake.notifications["00000001"] = CALL;
+        fake.apps["com.apple.mobilephone"] = "Phone";
+        server = await FakeNotificationServer.start(fake.busAddress);
+        client = new ANCSClient(ADDRESS, { bus: fake.connect(), timeout: 1000 });
+        bridge = new ANCSDesktopBridge(client, { bus: fake.connect() });
+        await client.startListening();
+    });
+
+    afterEach(async () => {
+        await bridge.stop();
+        await client.stopListening().catch(() => {});
+        await server.stop();
+        await fake.stop();
+    });
+
+    /**
+     * Sends a notification from the fake iPhone, and waits for its popup
+     * @param {Number} eventID
+     * @param {Object} [options] As for FakeBluez.sendNotification()
+     * @returns {Promise<Object>} The popup, once the bridge knows about it
+     */
+    async function popup(eventID, options) {
+        let notified = once(server, "notify");
+        let shown = once(bridge, "shown");
+        fake.sendNotification(eventID, "00000001", options);
+        let [[popup], [{ popupID }]] = await Promise.all([notified, shown]);
+        assert.strictEqual(popup.id, popupID);
+        return popup;
+    }
+
+    it("shows created notifications, with the app's name and buttons for its actions", async () => {
+        await bridge.start();
+        let shown = await popup(EventID.Added, { category: CategoryID.IncomingCall, flags: EventFlags.PositiveAction | EventFlags.NegativeAction });
+        assert.strictEqual(shown.appName, "Phone");
+        assert.strictEqual(shown.summary, "Alice");
+        // The server reads markup, so it's escaped
+        assert.strictEqual(shown.body, "Mobile\nIncoming call &lt;3");
+        assert.strictEqual(shown.replacesID, 0);
+        assert.deepStrictEqual(shown.actions, ["positive", "Accept", "negative", "Dismiss"]);
+        assert.strictEqual(shown.hints.urgency, 2);
+    });
+
+    it("replaces the popup when the notification is edited, and closes it when removed", async () => {
+        await bridge.start();
+        let { id } = await popup(EventID.Added);
+        fake.notifications["00000001"] = CALL.map(([attribute, value]) => [attribute, attribute == NotificationAttributeID.Message ? "Missed call" : value]);
+        let edited = await popup(EventID.Modified);
+        assert.strictEqual(edited.replacesID, id);
+        assert.strictEqual(edited.id, id);
+        assert.strictEqual(edited.body, "Mobile\nMissed call");
+        let closed = once(server, "close");
+        fake.sendNotification(EventID.Removed, "00000001");
+        assert.deepStrictEqual(await closed, [id]);
+        assert.strictEqual(server.popups.size, 0);
+    });
+
+    it("doesn't ask for an app's name again after iOS wouldn't give it", async () => {
+        let answer = fake.onControlPointWrite;
+        fake.onControlPointWrite = (value) => {
+            // Invalid Parameter
+            if (value[0] == 1) throw new DBusError("org.bluez.Error.Failed", "Operation failed with ATT error: 0xa2");
+            return answer(value);
+        };
+        await bridge.start();
+        assert.strictEqual((await popup(EventID.Added)).appName, "iPhone");
+        assert.strictEqual((await popup(EventID.Modified)).appName, "iPhone");
+        assert.strictEqual(fake.writes.filter((value) => value[0] == 1).length, 1);
+    });
+
+    it("asks for an app's name again after anything else went wrong", async () => {
+        let answer = fake.onControlPointWrite;
+        let failures = 1;
+        fake.onControlPointWrite = (value) => {
+            if (value[0] == 1 && failures-- > 0) throw new DBusError("org.bluez.Error.Failed", "Operation failed with ATT error: 0x0e");
+            return answer(value);
+        };
+        await bridge.start();
+        assert.strictEqual((await popup(EventID.Added)).appName, "iPhone");
+        assert.strictEqual((await popup(EventID.Modified)).appName, "Phone");
+        assert.strictEqual(fake.writes.filter((value) => value[0] == 1).length, 2);
+    });
+
+    it("performs the action for a button that's clicked", async () => {
+        await bridge.start();
+        let { id } = await popup(EventID.Added, { flags: EventFlags.PositiveAction | EventFlags.NegativeAction });
+        let performed = once(bridge, "action");
+        server.invokeAction(id, "positive");
+        assert.deepStrictEqual(await performed, [{ id: "00000001", action: "positive" }]);
+        assert.deepStrictEqual(fake.actions, [["00000001", 0]]);
+    });
+
+    it("ignores buttons on popups that aren't ours", async () => {
+        await bridge.start();
+        await popup(EventID.Added, { flags: EventFlags.PositiveAction });
+        bridge.on("action", () => assert.fail("Should not have performed an action"));
+        server.invokeAction(999, "positive");
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        assert.deepStrictEqual(fake.actions, []);
+    });
+
+    it("shows a new popup after the last was dismissed", async () => {
+        await bridge.start();
+        let { id } = await popup(EventID.Added);
+        server.dismiss(id);
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        let edited = await popup(EventID.Modified);
+        assert.strictEqual(edited.replacesID, 0);
+        assert.notStrictEqual(edited.id, id);
+    });
+
+    it("leaves the buttons off if the server can't show them", async () => {
+        server.capabilities = ["body"];
+        await bridge.start();
+        let shown = await popup(EventID.Added, { flags: EventFlags.PositiveAction | EventFlags.Silent });
+        assert.deepStrictEqual(shown.actions, []);
+        assert.strictEqual(shown.body, "Mobile\nIncoming call <3");
+        assert.strictEqual(shown.hints["suppress-sound"], true);
+    });
+
+    it("doesn't show what was already on the iPhone, unless asked", async () => {
+        await bridge.start();
+        server.on("notify", () => assert.fail("Should not have been shown"));
+        let created = once(client, "created");
+        fake.sendNotification(EventID.Added, "00000001", { flags: EventFlags.PreExisting });
+        await created;
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        assert.strictEqual(server.popups.size, 0);
+    });
+
+    it("closes its popups when stopped", async () => {
+        await bridge.start();
+        await popup(EventID.Added);
+        assert.strictEqual(await bridge.stop(), true);
+        assert.strictEqual(server.popups.size, 0);
+        assert.strictEqual(await bridge.stop(), false);
+    });
+
+    it("rejects if there's no notification server", async () => {
+        await server.stop();
+        await assert.rejects(bridge.start(), /Couldn't connect to the desktop notification server/);
+        assert.strictEqual(bridge.started, false);
+    });
+});
@@ -0,0 +1,595 @@
+const { spawn, spawnSync } = require("node:child_process");
+const { once } = require("node:events");
+let dbus = require("dbus-next");
+const { Interface, ACCESS_READ, ACCESS_READWRITE } = dbus.interface;
+const { CharacteristicUUID } = require("../index.js");
+
+/**
+ * Whether dbus-daemon is installed, so the fake can run. Tests using it should be skipped if not.
+ * @type {Boolean}
+ */
+const hasDbusDaemon = spawnSync("dbus-daemon", ["--version"]).status === 0;
+
+// Don't leave any daemons behind if the tests crash
+const daemons = new Set();
+process.on("exit", () => {
+    for (const daemon of daemons) daemon.kill();
+});
+
+/**
+ * Internal class for the fake's root org.freedesktop.DBus.ObjectManager
+ */
+class ObjectManager extends Interface {
+    #fake;
+
+    constructor(fake) {
+        super("org.freedesktop.DBus.ObjectManager");
+        this.#fake = fake;
+    }
+
+    GetManagedObjects() {
+        this.#fake.lookups++;
+        return this.#fake.managedObjects();
+    }
+
+    InterfacesAdded(path, interfaces) {
+        return [path, interfaces];
+    }
+
+    InterfacesRemoved(path, interfaces) {
+        return [path, interfaces];
+    }
+}
+ObjectManager.configureMembers({
+    methods: {
+        GetManagedObjects: { outSignature: "a{oa{sa{sv}}}" },
+    },
+    signals: {
+        InterfacesAdded: { signature: "oa{sa{sv}}" },
+        InterfacesRemoved: { signature: "oas" },
+    },
+});
+
+/**
+ * Internal class for the fake adapter's org.bluez.LEAdvertisingManager1
+ */
+class LEAdvertisingManager extends Interface {
+    #fake;
+
+    constructor(fake) {
+        super("org.bluez.LEAdvertisingManager1");
+        this.#fake = fake;
+    }
+
+    async RegisterAdvertisement(path, options) {
+        await this.#fake.register("advertisement", path);
+    }
+
+    UnregisterAdvertisement(path) {
+        this.#fake.unregister("advertisement", path);
+    }
+}
+LEAdvertisingManager.configureMembers({
+    methods: {
+        RegisterAdvertisement: { inSignature: "oa{sv}" },
+        UnregisterAdvertisement: { inSignature: "o" },
+    },
+});
+
+/**
+ * Internal class for the fake adapter's org.bluez.GattManager1
+ */
+class GattManager extends Interface {
+    #fake;
+
+    constructor(fake) {
+        super("org.bluez.GattManager1");
+        this.#fake = fake;
+    }
+
+    async RegisterApplication(path, options) {
+        await this.#fake.register("application", path);
+    }
+
+    UnregisterApplication(path) {
+        this.#fake.unregister("application", path);
+    }
+}
+GattManager.configureMembers({
+    methods: {
+        RegisterApplication: { inSignature: "oa{sv}" },
+        UnregisterApplication: { inSignature: "o" },
+    },
+});
+
+/**
+ * Internal class for the fake's org.bluez.AgentManager1
+ */
+class AgentManager extends Interface {
+    #fake;
+
+    constructor(fake) {
+        super("org.bluez.AgentManager1");
+        this.#fake = fake;
+    }
+
+    async RegisterAgent(path, capability) {
+        if (!["DisplayOnly", "DisplayYesNo", "KeyboardOnly", "NoInputNoOutput", "KeyboardDisplay", ""].includes(capability)) {
+            throw new dbus.DBusError("org.bluez.Error.InvalidArguments", "Invalid arguments in method call");
+        }
+        await this.#fake.register("agent", path);
+    }
+
+    RequestDefaultAgent(path) {
+        if (!this.#fake.registered.agent.includes(path)) throw new dbus.DBusError("org.bluez.Error.DoesNotExist", "Does Not Exist");
+        this.#fake.defaultAgent = path;
+    }
+
+    UnregisterAgent(path) {
+        this.#fake.unregister("agent", path);
+        if (this.#fake.defaultAgent == path) this.#fake.defaultAgent = undefined;
+    }
+}
+AgentManager.configureMembers({
+    methods: {
+        RegisterAgent: { inSignature: "os" },
+        RequestDefaultAgent: { inSignature: "o" },
+        UnregisterAgent: { inSignature: "o" },
+    },
+});
+
+/**
+ * Internal class for the fake iPhone's org.bluez.Device1
+ */
+class Device extends Interface {
+    address;
+    name;
+    connected = true;
+    servicesResolved = true;
+    trusted = false;
+
+    constructor(address, name) {
+        super("org.bluez.Device1");
+        this.address = address;
+        this.name = name;
+    }
+
+    get Address() {
+        return this.address;
+    }
+
+    get Alias() {
+        return this.name;
+    }
+
+    get Connected() {
+        return this.connected;
+    }
+
+    get ServicesResolved() {
+        return this.servicesResolved;
+    }
+
+    get Trusted() {
+        return this.trusted;
+    }
+
+    set Trusted(value) {
+        this.trusted = value;
+    }
+}
+Device.configureMembers({
+    properties: {
+        Address: { signature: "s", access: ACCESS_READ },
+        Alias: { signature: "s", access: ACCESS_READ },
+        Connected: { signature: "b", access: ACCESS_READ },
+        ServicesResolved: { signature: "b", access: ACCESS_READ },
+        Trusted: { signature: "b", access: ACCESS_READWRITE },
+    },
+});
+
+/**
+ * Internal class for one of the fake iPhone's ANCS org.bluez.GattCharacteristic1s
+ */
+class Characteristic extends Interface {
+    uuid;
+    value = Buffer.alloc(0);
+    notifying = false;
+    onWrite;
+    onStartNotify;
+
+    constructor(uuid) {
+        super("org.bluez.GattCharacteristic1");
+        this.uuid = uuid;
+    }
+
+    get UUID() {
+        return this.uuid.toLowerCase();
+    }
+
+    get Value() {
+        return this.value;
+    }
+
+    get Notifying() {
+        return this.notifying;
+    }
+
+    StartNotify() {
+        this.notifying = true;
+        this.onStartNotify?.();
+    }
+
+    StopNotify() {
+        if (!this.notifying) throw new dbus.DBusError("org.bluez.Error.Failed", "No notify session started");
+        this.notifying = false;
+    }
+
+    async WriteValue(value, options) {
+        await this.onWrite?.(Buffer.from(value));
+    }
+
+    /**
+     * Sends a value to whoever is notifying
+     * @param {Buffer} value
+     */
+    notify(value) {
+        this.value = value;
+        Interface.emitPropertiesChanged(this, { Value: value });
+    }
+}
+Characteristic.configureMembers({
+    properties: {
+        UUID: { signature: "s", access: ACCESS_READ },
+        Value: { signature: "ay", access: ACCESS_READ },
+        Notifying: { signature: "b", access: ACCESS_READ },
+    },
+    methods: {
+        StartNotify: {},
+        StopNotify: {},
+        WriteValue: { inSignature: "aya{sv}" },
+    },
+});
+
+/**
+ * Encodes a list of attributes as they appear in a Data Source response: (AttributeID) (Length, 2 bytes) (Data)
+ * @param {Array<[Number, String]>} attributes Pairs of attribute ID and value
+ * @returns {Buffer}
+ */
+function encodeAttributes(attributes) {
+    return Buffer.concat(attributes.map(([id, value]) => {
+        let data = Buffer.from(value);
+        let header = Buffer.alloc(3);
+        header[0] = id;
+        header.writeUInt16LE(data.length, 1);
+        return Buffer.concat([header, data]);
+    }));
+}
+
+/**
+ * A stand-in for Bluez with a paired iPhone, on a private dbus-daemon. Exports Device1 and the three ANCS characteristics,
+ * records Control Point writes and can be scripted to send Notification Source and Data Source values.
+ * The adapter takes LE advertisements and GATT applications, and pairing agents can be registered, all of which are recorded.
+ */
+class FakeBluez {
+    /**
+     * The address of the private bus
+     * @type {String}
+     */
+    busAddress;
+    /**
+     * The fake iPhone's MAC address
+     * @type {String}
+     */
+    deviceAddress;
+    /**
+     * Every value written to the Control Point
+     * @type {Buffer[]}
+     */
+    writes = [];
+    /**
+     * Handles Control Point writes. Throw a DBusError to fail the write. By default, writes are answered like an iPhone would, using `notifications` and `apps`.
+     * @type {function(Buffer): (void|Promise<void>)}
+     */
+    onControlPointWrite;
+    /**
+     * Called just after a client subscribes to the Notification Source, e.g. to send the notifications already there like iOS does
+     * @type {function(): void}
+     */
+    onSubscribe;
+    /**
+     * The notifications the fake iPhone knows about, by ID. Each is a list of [attribute ID, value] pairs.
+     * @type {Object.<string, Array<[Number, String]>>}
+     */
+    notifications = {};
+    /**
+     * The app display names the fake iPhone knows about, by app ID
+     * @type {Object.<string, string>}
+     */
+    apps = {};
+    /**
+     * How many bytes Data Source responses are split into
+     * @type {Number}
+     */
+    mtu = 20;
+    /**
+     * Every action performed, as [notification ID, action ID] pairs
+     * @type {Array<[String, Number]>}
+     */
+    actions = [];
+    /**
+     * How many times GetManagedObjects has been called, e.g. to count attempts to find the characteristics
+     * @type {Number}
+     */
+    lookups = 0;
+    /**
+     * What's registered with the fake adapter and agent manager, as object paths: LE advertisements, GATT applications and pairing agents
+     * @type {{advertisement: String[], application: String[], agent: String[]}}
+     */
+    registered = { advertisement: [], application: [], agent: [] };
+    /**
+     * The object path of the default pairing agent, if one has asked to be
+     * @type {String|undefined}
+     */
+    defaultAgent;
+    /**
+     * Called before anything is registered, with what it is (`"advertisement"`, `"application"` or `"agent"`) and its path. Throw a DBusError to refuse it.
+     * @type {function(String, String): (void|Promise<void>)}
+     */
+    onRegister;
+    #daemon;
+    #bus;
+    #clients = [];
+    #root;
+    #device;
+    #devicePath;
+    #characteristics = {};
+    #generation = 0;
+    #exported = false;
+    #timers = new Set();
+
+    /**
+     * Starts a private dbus-daemon with the fake Bluez on it
+     * @param {Object} [options]
+     * @param {String} [options.address] The fake iPhone's MAC address. Defaults to 01:23:45:67:89:AB.
+     * @param {String} [options.name] The fake iPhone's name. Defaults to "iPhone".
+     * @returns {Promise<FakeBluez>}
+     */
+    static async start(options) {
+        let fake = new FakeBluez();
+        await fake.#start(options ?? {});
+        return fake;
+    }
+
+    async #start(options) {
+        this.deviceAddress = options.address ?? "01:23:45:67:89:AB";
+        this.#daemon = spawn("dbus-daemon", ["--session", "--nofork", "--print-address=1"], { stdio: ["ignore", "pipe", "ignore"] });
+        daemons.add(this.#daemon);
+        this.busAddress = await new Promise((resolve, reject) => {
+            let output = "";
+            this.#daemon.on("error", reject);
+            this.#daemon.stdout.on("data", (data) => {
+                output += data;
+                if (output.includes("\n")) resolve(output.trim());
+            });
+        });
+        this.#bus = dbus.sessionBus({ busAddress: this.busAddress });
+        await this.#bus.requestName("org.bluez", 0);
+
+        this.#devicePath = "/org/bluez/hci0/dev_" + this.deviceAddress.replace(/:/g, "_");
+        this.#root = new ObjectManager(this);
+        this.#device = new Device(this.deviceAddress, options.name ?? "iPhone");
+        this.#bus.export("/", this.#root);
+        this.#bus.export(this.#devicePath, this.#device);
+        this.#bus.export("/org/bluez", new AgentManager(this));
+        this.#bus.export("/org/bluez/hci0", new LEAdvertisingManager(this));
+        this.#bus.export("/org/bluez/hci0", new GattManager(this));
+        this.onControlPointWrite = (value) => this.#respond(value);
+        this.addCharacteristics();
+    }
+
+    /**
+     * Connects a new client to the private bus. These are disconnected when the fake stops.
+     * @returns {dbus.MessageBus}
+     */
+    connect() {
+        let bus = dbus.sessionBus({ busAddress: this.busAddress });
+        this.#clients.push(bus);
+        return bus;
+    }
+
+    /**
+     * Whether the fake iPhone has been marked as trusted (e.g. by a pairing agent)
+     * @type {Boolean}
+     * @readonly
+     */
+    get trusted() {
+        return this.#device.trusted;
+    }
+
+    /**
+     * The three ANCS characteristics, by name
+     * @type {{notificationSource: Characteristic, controlPoint: Characteristic, dataSource: Characteristic}}
+     */
+    get characteristics() {
+        return Object.fromEntries(Object.entries(this.#characteristics).map(([name, { iface }]) => [name, iface]));
+    }
+
+    /**
+     * Sends a Notification Source value
+     * @param {Number} eventID
+     * @param {String} id The notification ID, as a hex string
+     * @param {Object} [options]
+     * @param {Number} [options.flags]
+     * @param {Number} [options.category]
+     * @param {Number} [options.categoryCount]
+     */
+    sendNotification(eventID, id, options) {
+        let value = Buffer.concat([Buffer.from([eventID, options?.flags ?? 0, options?.category ?? 0, options?.categoryCount ?? 1]), Buffer.from(id, "hex")]);
+        this.#characteristics.notificationSource.iface.notify(value);
+    }
+
+    /**
+     * Sends a Data Source value, as is
+     * @param {Buffer} value
+     */
+    sendData(value) {
+        this.#characteristics.dataSource.iface.notify(value);
+    }
+
+    /**
+     * Exports the ANCS characteristics under the device, as happens when the iPhone connects. Each time, they get new paths.
+     */
+    addCharacteristics() {
+        let service = `${this.#devicePath}/service${(0x10 + this.#generation++).toString(16).padStart(4, "0")}`;
+        let names = { notificationSource: CharacteristicUUID.NotificationSource, controlPoint: CharacteristicUUID.ControlPoint, dataSource: CharacteristicUUID.DataSource };
+        let index = 0;
+        for (const [name, uuid] of Object.entries(names)) {
+            let path = `${service}/char${(++index).toString(16).padStart(4, "0")}`;
+            let iface = new Characteristic(uuid);
+            if (name == "controlPoint") iface.onWrite = (value) => {
+                this.writes.push(value);
+                return this.onControlPointWrite?.(value);
+            };
+            if (name == "notificationSource") iface.onStartNotify = () => {
+                // After StartNotify has returned, like iOS
+                let timer = setTimeout(() => {
+                    this.#timers.delete(timer);
+                    this.onSubscribe?.();
+                }, 5);
+                this.#timers.add(timer);
+            };
+            this.#bus.export(path, iface);
+            this.#characteristics[name] = { path, iface };
+            if (this.#exported) this.#root.InterfacesAdded(path, { "org.bluez.GattCharacteristic1": this.#properties(iface) });
+        }
+        this.#exported = true;
+    }
+
+    /**
+     * Removes the ANCS characteristics and marks the device as disconnected, as happens when the iPhone goes out of range
+     */
+    disconnect() {
+        for (const { path, iface } of Object.values(this.#characteristics)) {
+            this.#bus.unexport(path, iface);
+            this.#root.InterfacesRemoved(path, ["org.bluez.GattCharacteristic1"]);
+        }
+        this.#characteristics = {};
+        this.#device.connected = false;
+        this.#device.servicesResolved = false;
+        Interface.emitPropertiesChanged(this.#device, { Connected: false, ServicesResolved: false });
+    }
+
+    /**
+     * Brings the device back, with its characteristics on new paths
+     */
+    reconnect() {
+        this.#device.connected = true;
+        Interface.emitPropertiesChanged(this.#device, { Connected: true });
+        this.addCharacteristics();
+        this.#device.servicesResolved = true;
+        Interface.emitPropertiesChanged(this.#device, { ServicesResolved: true });
+    }
+
+    /**
+     * Disconnects every client and stops the private dbus-daemon
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        for (const timer of this.#timers) clearTimeout(timer);
+        for (const bus of this.#clients) {
+            // A bus that hasn't finished saying hello would still try to, after being disconnected
+            if (!bus.name) await once(bus, "connect");
+            bus.disconnect();
+        }
+        this.#bus.disconnect();
+        this.#daemon.kill();
+        daemons.delete(this.#daemon);
+    }
+
+    /**
+     * Internal method for the fake's GetManagedObjects
+     * @returns {Object.<string, Object.<string, Object.<string, dbus.Variant>>>}
+     */
+    managedObjects() {
+        let objects = {
+            "/org/bluez/hci0": { "org.bluez.Adapter1": {}, "org.bluez.LEAdvertisingManager1": {}, "org.bluez.GattManager1": {} },
+            [this.#devicePath]: { "org.bluez.Device1": this.#properties(this.#device) },
+        };
+        for (const { path, iface } of Object.values(this.#characteristics)) {
+            objects[path] = { "org.bluez.GattCharacteristic1": this.#properties(iface) };
+        }
+        return objects;
+    }
+
+    /**
+     * Internal method for the fake's Register methods
+     * @param {"advertisement"|"application"|"agent"} type
+     * @param {String} path
+     * @returns {Promise<void>}
+     */
+    async register(type, path) {
+        if (this.registered[type].includes(path)) throw new dbus.DBusError("org.bluez.Error.AlreadyExists", "Already Exists");
+        await this.onRegister?.(type, path);
+        this.registered[type].push(path);
+    }
+
+    /**
+     * Internal method for the fake's Unregister methods
+     * @param {"advertisement"|"application"|"agent"} type
+     * @param {String} path
+     */
+    unregister(type, path) {
+        let index = this.registered[type].indexOf(path);
+        if (index == -1) throw new dbus.DBusError("org.bluez.Error.DoesNotExist", "Does Not Exist");
+        this.registered[type].splice(index, 1);
+    }
+
+    #properties(iface) {
+        return Object.fromEntries(Object.entries(iface.$properties).map(([name, { signature }]) => [name, new dbus.Variant(signature, iface[name])]));
+    }
+
+    /**
+     * Internal method to answer a Control Point write like an iPhone would
+     * @param {Buffer} value
+     */
+    #respond(value) {
+        let response;
+        if (value[0] == 0) {
+            // GetNotificationAttributes
+            let id = value.subarray(1, 5).toString("hex");
+            let known = this.notifications[id];
+            if (!known) throw new dbus.DBusError("org.bluez.Error.Failed", "Operation failed with ATT error: 0xa2");
+            let attributes = [];
+            for (let offset = 5; offset < value.length;) {
+                let attributeID = value[offset];
+                let maxLength = attributeID >= 1 && attributeID <= 3 ? value.readUInt16LE(offset + 1) : Infinity;
+                offset += maxLength == Infinity ? 1 : 3;
+                let found = known.find(([knownID]) => knownID == attributeID);
+                attributes.push([attributeID, Buffer.from(found?.[1] ?? "").subarray(0, maxLength)]);
+            }
+            response = Buffer.concat([value.subarray(0, 5), encodeAttributes(attributes)]);
+        } else if (value[0] == 1) {
+            // GetAppAttributes
+            let end = value.indexOf(0, 1);
+            let appID = value.subarray(1, end).toString();
+            response = Buffer.concat([value.subarray(0, end + 1), encodeAttributes([[0, this.apps[appID] ?? ""]])]);
+        } else if (value[0] == 2) {
+            // PerformNotificationAction
+            let id = value.subarray(1, 5).toString("hex");
+            if (!this.notifications[id]) throw new dbus.DBusError("org.bluez.Error.Failed", "Operation failed with ATT error: 0xa2");
+            this.actions.push([id, value[5]]);
+            return;
+        } else {
+            throw new dbus.DBusError("org.bluez.Error.Failed", "Operation failed with ATT error: 0xa0");
+        }
+        // Send it back a bit later, split up like a small MTU would
+        let timer = setTimeout(() => {
+            this.#timers.delete(timer);
+            for (let offset = 0; offset < response.length; offset += this.mtu) this.sendData(response.subarray(offset, offset + this.mtu));
+        }, 5);
+        this.#timers.add(timer);
+    }
+}
+
+module.exports = { FakeBluez, encodeAttributes, hasDbusDaemon };
@@ -0,0 +1,194 @@
+const EventEmitter = require("node:events");
+const { once } = require("node:events");
+let dbus = require("dbus-next");
+const { Interface } = dbus.interface;
+const { FakeBluez } = require("./fake-bluez.js");
+const { ANCSNotification, NotificationAttributeID, CategoryID, EventFlags } = require("../index.js");
+
+/**
+ * The fake iPhone's address
+ * @type {String}
+ */
+const ADDRESS = "01:23:45:67:89:AB";
+
+// A message from the fake iPhone, as attribute ID and value pairs
+const MESSAGE = [
+    [NotificationAttributeID.AppIdentifier, "com.apple.MobileSMS"],
+    [NotificationAttributeID.Title, "Alice"],
+    [NotificationAttributeID.Subtitle, ""],
+    [NotificationAttributeID.Message, "Are we still on for lunch?"],
+    [NotificationAttributeID.Date, "20261018T123000"],
+];
+
+/**
+ * Starts a fake iPhone with MESSAGE as notification 00000001, which knows the Messages app's name
+ * @param {Object} [options] As for FakeBluez.start(). The address defaults to ADDRESS.
+ * @returns {Promise<FakeBluez>}
+ */
+async function startFakeIPhone(options) {
+    let fake = await FakeBluez.start({ address: ADDRESS, ...options });
+    fake.notifications["00000001"] = MESSAGE;
+    fake.apps["com.apple.MobileSMS"] = "Messages";
+    return fake;
+}
+
+/**
+ * Makes a notification like MESSAGE, as the client would
+ * @param {String} id
+ * @param {Object} [attributes] Overrides for the message's attributes
+ * @returns {ANCSNotification}
+ */
+function notification(id, attributes) {
+    attributes = {
+        [NotificationAttributeID.AppIdentifier]: "com.apple.MobileSMS",
+        [NotificationAttributeID.Title]: "Alice",
+        [NotificationAttributeID.Subtitle]: "",
+        [NotificationAttributeID.Message]: "Are we still on for lunch?",
+        [NotificationAttributeID.Date]: new Date(2026, 9, 18, 12, 30, 0),
+        ...attributes,
+    };
+    let raw = Buffer.from("00" + id + "0105004c756e6368", "hex");
+    return new ANCSNotification(raw, id, attributes, { flags: EventFlags.NegativeAction, category: CategoryID.Social, categoryCount: 1 });
+}
+
+/**
+ * Internal class for the stand-in's org.freedesktop.Notifications
+ */
+class Notifications extends Interface {
+    #server;
+
+    constructor(server) {
+        super("org.freedesktop.Notifications");
+        this.#server = server;
+    }
+
+    Notify(appName, replacesID, icon, summary, body, actions, hints, expireTimeout) {
+        return this.#server.notify({ appName, replacesID, icon, summary, body, actions, hints, expireTimeout });
+    }
+
+    CloseNotification(id) {
+        this.#server.close(id);
+    }
+
+    GetCapabilities() {
+        return this.#server.capabilities;
+    }
+
+    GetServerInformation() {
+        return ["fake-notifications", "ancsjs", "1.0", "1.2"];
+    }
+
+    ActionInvoked(id, action) {
+        return [id, action];
+    }
+
+    NotificationClosed(id, reason) {
+        return [id, reason];
+    }
+}
+Notifications.configureMembers({
+    methods: {
+        Notify: { inSignature: "susssasa{sv}i", outSignature: "u" },
+        CloseNotification: { inSignature: "u" },
+        GetCapabilities: { outSignature: "as" },
+        GetServerInformation: { outSignature: "ssss" },
+    },
+    signals: {
+        ActionInvoked: { signature: "us" },
+        NotificationClosed: { signature: "uu" },
+    },
+});
+
+/**
+ * A stand-in desktop notification server, for testing against without a desktop.
+ * It takes the org.freedesktop.Notifications name on a bus (e.g. the private one a FakeBluez runs).
+ * @extends EventEmitter
+ * @fires FakeNotificationServer#notify With the popup, whenever Notify is called
+ * @fires FakeNotificationServer#close With the popup ID, whenever CloseNotification is called
+ */
+class FakeNotificationServer extends EventEmitter {
+    /**
+     * What the server says it can do
+     * @type {String[]}
+     */
+    capabilities = ["actions", "body", "body-markup"];
+    /**
+     * The popups that are up, by ID
+     * @type {Map<Number, {appName: String, replacesID: Number, icon: String, summary: String, body: String, actions: String[], hints: Object, expireTimeout: Number}>}
+     */
+    popups = new Map();
+    #bus;
+    #iface;
+    #nextID = 1;
+
+    /**
+     * Starts the stand-in
+     * @param {String} busAddress The address of the bus to take the name on
+     * @param {{capabilities?: String[]}} [options]
+     * @returns {Promise<FakeNotificationServer>}
+     */
+    static async start(busAddress, options) {
+        let server = new FakeNotificationServer();
+        if (options?.capabilities) server.capabilities = options.capabilities;
+        server.#bus = dbus.sessionBus({ busAddress });
+        await server.#bus.requestName("org.freedesktop.Notifications", 0);
+        server.#iface = new Notifications(server);
+        server.#bus.export("/org/freedesktop/Notifications", server.#iface);
+        return server;
+    }
+
+    /**
+     * Internal method for Notify
+     * @param {Object} popup
+     * @returns {Number} The popup ID
+     */
+    notify(popup) {
+        popup.hints = Object.fromEntries(Object.entries(popup.hints).map(([key, variant]) => [key, variant.value]));
+        let id = this.popups.has(popup.replacesID) ? popup.replacesID : this.#nextID++;
+        this.popups.set(id, popup);
+        this.emit("notify", { id, ...popup });
+        return id;
+    }
+
+    /**
+     * Internal method for CloseNotification
+     * @param {Number} id
+     */
+    close(id) {
+        if (this.popups.delete(id)) this.#iface.NotificationClosed(id, 3);
+        this.emit("close", id);
+    }
+
+    /**
+     * Clicks one of a popup's buttons
+     * @param {Number} id The popup ID
+     * @param {String} action The action key
+     */
+    invokeAction(id, action) {
+        this.#iface.ActionInvoked(id, action);
+    }
+
+    /**
+     * Closes a popup, as if the user had dismissed it
+     * @param {Number} id The popup ID
+     */
+    dismiss(id) {
+        this.popups.delete(id);
+        this.#iface.NotificationClosed(id, 2);
+    }
+
+    /**
+     * Stops the stand-in
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.#bus) return;
+        if (!this.#bus.name) await once(this.#bus, "connect");
+        // Give the name up first, or calls can still arrive after disconnecting (which dbus-next can't answer)
+        await this.#bus.releaseName("org.freedesktop.Notifications");
+        this.#bus.disconnect();
+        this.#bus = undefined;
+    }
+}
+
+module.exports = { FakeNotificationServer, ADDRESS, MESSAGE, startFakeIPhone, notification };
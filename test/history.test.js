@@ -0,0 +1,159 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const { ANCSHistory, FileHistoryStore, MemoryHistoryStore } = require("../history.js");
+const { notification } = require("./fake-notifications.js");
+const { NotificationAttributeID, CategoryID, EventFlags } = require("../index.js");
+
+describe("ANCSHistory", () => {
+    it("records created, edited and removed, with timestamps", async () => {
+        let history = new ANCSHistory(new MemoryHistoryStore());
+        await history.record("created", notification("00000001"), new Date(1000));
+        await history.record("edited", notification("00000001", { [NotificationAttributeID.Message]: "Running late!" }), new Date(2000));
+        await history.record("removed", "00000001", new Date(3000));
+        let records = await history.query();
+        assert.deepStrictEqual(records.map((record) => [record.type, record.time.getTime()]), [["created", 1000], ["edited", 2000], ["removed", 3000]]);
+        assert.strictEqual(records[1].body, "Running late!");
+        // Removed records keep what the notification looked like last
+        assert.strictEqual(records[2].body, "Running late!");
+        assert.strictEqual(records[2].appID, "com.apple.MobileSMS");
+        assert.deepStrictEqual(await history.live(), []);
+    });
+
+    it("keeps the shape of the notification, including raw", async () => {
+        let history = new ANCSHistory(new MemoryHistoryStore());
+        let original = notification("00000001");
+        let record = await history.record("created", original);
+        assert.ok(record.raw.equals(original.raw));
+        assert.strictEqual(record.flags, EventFlags.NegativeAction);
+        assert.strictEqual(record.category, CategoryID.Social);
+        assert.deepStrictEqual(record.date, original.date);
+        assert.deepStrictEqual(record.attributes, original.attributes);
+    });
+
+    it("refuses unknown record types", async () => {
+        let history = new ANCSHistory(new MemoryHistoryStore());
+        await assert.rejects(history.record("shown", notification("00000001")), /Unknown history record type/);
+    });
+
+    it("keeps 10000 records by default, and only rewrites the store when it drops some", async () => {
+        let store = new MemoryHistoryStore();
+        let unlimited = new ANCSHistory(store, { maxRecords: Infinity });
+        await unlimited.record("created", notification("00000000"), new Date(0));
+        for (let i = 1; i <= 6000; i++) {
+            let id = i.toString(16).padStart(8, "0");
+            await unlimited.record("created", notification(id), new Date(i * 1000));
+            await unlimited.record("removed", id, new Date(i * 1000 + 500));
+        }
+        assert.strictEqual(store.entries.length, 12001);
+
+        let history = new ANCSHistory(store);
+        let records = await history.query();
+        assert.strictEqual(records.length, 10000);
+        assert.strictEqual(store.entries.length, 10000);
+        // What's still around is kept, however old
+        assert.strictEqual(records[0].id, "00000000");
+        assert.strictEqual(records[1].time.getTime(), 1001500);
+
+        let entries = store.entries;
+        await new ANCSHistory(store).load();
+        assert.strictEqual(store.entries, entries);
+    });
+
+    describe("query", () => {
+        let history;
+
+        beforeEach(async () => {
+            history = new ANCSHistory(new MemoryHistoryStore());
+            await history.record("created", notification("00000001"), new Date(1000));
+            await history.record("created", notification("00000002", { [NotificationAttributeID.AppIdentifier]: "com.apple.mobilemail", [NotificationAttributeID.Title]: "Invoice", [NotificationAttributeID.Message]: "Due on Friday" }), new Date(2000));
+            await history.record("removed", "00000001", new Date(3000));
+        });
+
+        it("filters by app", async () => {
+            let records = await history.query({ appID: "com.apple.MobileSMS" });
+            assert.deepStrictEqual(records.map((record) => record.type), ["created", "removed"]);
+        });
+
+        it("filters by time", async () => {
+            assert.deepStrictEqual((await history.query({ since: 2000 })).map((record) => record.time.getTime()), [2000, 3000]);
+            assert.deepStrictEqual((await history.query({ until: new Date(2000) })).map((record) => record.time.getTime()), [1000, 2000]);
+            assert.deepStrictEqual((await history.query({ since: "1970-01-01T00:00:01.500Z", until: 2500 })).map((record) => record.id), ["00000002"]);
+        });
+
+        it("searches the title, subtitle and body, ignoring case", async () => {
+            assert.deepStrictEqual((await history.query({ text: "INVOICE" })).map((record) => record.id), ["00000002"]);
+            assert.deepStrictEqual((await history.query({ text: "lunch", type: "created" })).map((record) => record.id), ["00000001"]);
+        });
+
+        it("limits to the newest", async () => {
+            assert.deepStrictEqual((await history.query({ limit: 1 })).map((record) => record.type), ["removed"]);
+        });
+    });
+
+    describe("FileHistoryStore", () => {
+        let directory, file;
+
+        beforeEach(async () => {
+            directory = await fs.mkdtemp(path.join(os.tmpdir(), "ancsjs-"));
+            file = path.join(directory, "history.ndjson");
+        });
+
+        afterEach(async () => {
+            await fs.rm(directory, { recursive: true, force: true });
+        });
+
+        it("appends one JSON entry per line", async () => {
+            let history = new ANCSHistory(file);
+            await history.record("created", notification("00000001"));
+            await history.record("removed", "00000001");
+            let lines = (await fs.readFile(file, "utf8")).trim().split("\n");
+            assert.strictEqual(lines.length, 2);
+            assert.deepStrictEqual(lines.map((line) => JSON.parse(line).type), ["created", "removed"]);
+        });
+
+        it("loads it all back, skipping lines that were only half written", async () => {
+            let history = new ANCSHistory(file);
+            await history.record("created", notification("00000001"), new Date(1000));
+            await history.record("created", notification("00000002"), new Date(2000));
+            await fs.appendFile(file, '{"type":"removed","ti');
+            let reloaded = new ANCSHistory(new FileHistoryStore(file));
+            let live = await reloaded.live();
+            assert.deepStrictEqual(live.map((record) => record.id), ["00000001", "00000002"]);
+            assert.deepStrictEqual(live[0].date, new Date(2026, 9, 18, 12, 30, 0));
+            assert.ok(live[0].raw.equals(notification("00000001").raw));
+        });
+
+        it("starts empty if there's no file yet", async () => {
+            assert.deepStrictEqual(await new ANCSHistory(file).query(), []);
+        });
+
+        it("compacts old records, but keeps what's still around", async () => {
+            let day = 24 * 60 * 60 * 1000;
+            let history = new ANCSHistory(file);
+            await history.record("created", notification("00000001"), new Date(Date.now() - 3 * day));
+            await history.record("created", notification("00000002"), new Date(Date.now() - 3 * day));
+            await history.record("removed", "00000002", new Date(Date.now() - 2 * day));
+            await history.record("created", notification("00000003"));
+
+            let compacted = new ANCSHistory(file, { maxAge: day });
+            await compacted.load();
+            assert.deepStrictEqual((await compacted.query()).map((record) => record.id), ["00000001", "00000003"]);
+            let lines = (await fs.readFile(file, "utf8")).trim().split("\n");
+            assert.strictEqual(lines.length, 2);
+            await assert.rejects(fs.access(file + ".tmp"));
+        });
+
+        it("compacts down to a number of records", async () => {
+            let history = new ANCSHistory(file, { maxRecords: 2 });
+            for (let i = 1; i <= 4; i++) {
+                await history.record("created", notification("0000000" + i), new Date(i * 1000));
+                await history.record("removed", "0000000" + i, new Date(i * 1000 + 500));
+            }
+            await history.compact();
+            assert.deepStrictEqual((await history.query()).map((record) => [record.type, record.id]), [["created", "00000004"], ["removed", "00000004"]]);
+        });
+    });
+});
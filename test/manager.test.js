@@ -0,0 +1,143 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const { once } = require("node:events");
+const { FakeBluez, hasDbusDaemon } = require("./fake-bluez.js");
+const { ADDRESS } = require("./fake-notifications.js");
+const { ANCSManager } = require("../manager.js");
+const { ANCSHistory, MemoryHistoryStore } = require("../history.js");
+const { ANCSClient, ProtocolError, EventID, NotificationAttributeID } = require("../index.js");
+
+const DEVICE = { address: ADDRESS, name: "Alice's iPhone" };
+
+describe("ANCSManager", { skip: !hasDbusDaemon && "dbus-daemon is not installed" }, () => {
+    let fake, manager;
+
+    beforeEach(async () => {
+        fake = await FakeBluez.start({ address: ADDRESS, name: DEVICE.name });
+        fake.notifications["00000001"] = [
+            [NotificationAttributeID.AppIdentifier, "com.apple.MobileSMS"],
+            [NotificationAttributeID.Title, "Bob"],
+            [NotificationAttributeID.Message, "Are we still on for lunch?"],
+        ];
+        manager = new ANCSManager({ bus: fake.connect() });
+    });
+
+    afterEach(async () => {
+        await manager.stop();
+        await fake.stop();
+    });
+
+    describe("listDevices", () => {
+        it("lists devices with the ANCS", async () => {
+            assert.deepStrictEqual(await manager.listDevices(), [{ ...DEVICE, path: "/org/bluez/hci0/dev_01_23_45_67_89_AB" }]);
+        });
+
+        it("agrees with the client about which devices have the ANCS", async () => {
+            let client = new ANCSClient(ADDRESS, { bus: fake.connect() });
+            assert.strictEqual(await client.isSupported(), true);
+            fake.disconnect();
+            assert.deepStrictEqual(await manager.listDevices(), []);
+            assert.strictEqual(await client.isSupported(), false);
+        });
+    });
+
+    describe("start", () => {
+        it("listens to every device with the ANCS", async () => {
+            let added = once(manager, "deviceAdded");
+            let started = once(manager, "start");
+            let devices = await manager.start();
+            assert.deepStrictEqual(devices.map((device) => device.address), [ADDRESS]);
+            assert.strictEqual((await added)[0].address, ADDRESS);
+            assert.deepStrictEqual(await started, [ADDRESS, DEVICE]);
+            assert.ok(manager.clients[ADDRESS] instanceof ANCSClient);
+            assert.strictEqual(manager.devices[ADDRESS].name, DEVICE.name);
+            assert.strictEqual(fake.characteristics.notificationSource.notifying, true);
+        });
+
+        it("removes a device when it goes away, and adds it back when it returns", async () => {
+            await manager.start();
+            let removed = once(manager, "deviceRemoved");
+            fake.disconnect();
+            assert.strictEqual((await removed)[0].address, ADDRESS);
+            assert.deepStrictEqual(manager.clients, {});
+            assert.deepStrictEqual(manager.devices, {});
+
+            let added = once(manager, "deviceAdded");
+            fake.reconnect();
+            assert.strictEqual((await added)[0].address, ADDRESS);
+            assert.ok(manager.clients[ADDRESS]);
+            assert.strictEqual(fake.characteristics.notificationSource.notifying, true);
+        });
+
+        it("gives each device its own files", async () => {
+            let directory = await fs.mkdtemp(path.join(os.tmpdir(), "ancsjs-"));
+            try {
+                fake.apps["com.apple.MobileSMS"] = "Messages";
+                manager = new ANCSManager({ bus: fake.connect(), clientOptions: { appNameCache: path.join(directory, "apps.json"), history: path.join(directory, "history.ndjson") } });
+                await manager.start();
+                let created = once(manager, "created");
+                fake.sendNotification(EventID.Added, "00000001");
+                await created;
+                await manager.clients[ADDRESS].getAppName("com.apple.MobileSMS");
+                let files = (await fs.readdir(directory)).sort();
+                assert.deepStrictEqual(files, ["apps-01_23_45_67_89_AB.json", "history-01_23_45_67_89_AB.ndjson"]);
+            } finally {
+                await manager.stop();
+                await fs.rm(directory, { recursive: true, force: true });
+            }
+        });
+
+        it("refuses files that would be shared between devices", () => {
+            let history = new ANCSHistory(new MemoryHistoryStore());
+            assert.throws(() => new ANCSManager({ clientOptions: { history } }), /Client option "history" can't be shared between devices, so it must be a file path/);
+            assert.throws(() => new ANCSManager({ clientOptions: { recorder: { record() {} } } }), /Client option "recorder" can't be shared/);
+        });
+
+        it("stops listening to every device when stopped", async () => {
+            await manager.start();
+            let stopped = once(manager, "stop");
+            let removed = once(manager, "deviceRemoved");
+            await manager.stop();
+            assert.deepStrictEqual(await stopped, [ADDRESS, DEVICE]);
+            await removed;
+            assert.deepStrictEqual(manager.clients, {});
+            assert.strictEqual(fake.characteristics.notificationSource.notifying, false);
+        });
+    });
+
+    describe("events", () => {
+        beforeEach(async () => {
+            await manager.start();
+        });
+
+        it("passes along notification events, with the device", async () => {
+            let created = once(manager, "created");
+            fake.sendNotification(EventID.Added, "00000001");
+            let [notification, device] = await created;
+            assert.strictEqual(notification.title, "Bob");
+            assert.deepStrictEqual(device, DEVICE);
+            let removed = once(manager, "removed");
+            fake.sendNotification(EventID.Removed, "00000001");
+            assert.deepStrictEqual(await removed, ["00000001", DEVICE]);
+        });
+
+        it("passes along errors, with the device", async () => {
+            let errored = once(manager, "error");
+            fake.characteristics.notificationSource.notify(Buffer.from("0000000001", "hex"));
+            let [error, device] = await errored;
+            assert.ok(error instanceof ProtocolError);
+            assert.deepStrictEqual(device, DEVICE);
+        });
+
+        it("doesn't emit errors nobody is listening for", async () => {
+            // Not once(), which listens for errors
+            let created = new Promise((resolve) => manager.once("created", resolve));
+            fake.characteristics.notificationSource.notify(Buffer.from("0000000001", "hex"));
+            fake.sendNotification(EventID.Added, "00000001");
+            await created;
+        });
+    });
+});
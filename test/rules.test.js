@@ -0,0 +1,200 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { RuleSet } = require("../rules.js");
+const { notification } = require("./fake-notifications.js");
+const { CategoryID, EventFlags } = require("../index.js");
+
+// The message, as the client would make it
+const MESSAGE = notification("00000001");
+
+describe("RuleSet", () => {
+    describe("run", () => {
+        it("matches on every property given", () => {
+            let rules = new RuleSet();
+            let matched = [];
+            rules.add({ appID: "com.apple.MobileSMS", category: [CategoryID.Social, CategoryID.Email], flags: EventFlags.NegativeAction, titleMatches: "ALICE", bodyMatches: /lunch\?$/ }, () => matched.push("all"));
+            rules.add({ appID: /^com\.apple\./, titleMatches: "Bob" }, () => matched.push("bob"));
+            rules.add({ appID: ["com.apple.mobilemail", "com.apple.MobileSMS"] }, () => matched.push("list"));
+            rules.add({ flags: EventFlags.NegativeAction | EventFlags.Important }, () => matched.push("important"));
+            rules.add({ category: CategoryID.Email }, () => matched.push("email"));
+            rules.run(MESSAGE, "created");
+            assert.deepStrictEqual(matched, ["all", "list"]);
+        });
+
+        it("runs higher priorities first, then in the order added, until one stops", () => {
+            let rules = new RuleSet();
+            let calls = [];
+            rules.add({}, () => calls.push("a"));
+            rules.add({}, () => calls.push("b"), { priority: 5 });
+            rules.add({}, () => calls.push("c"));
+            rules.add({}, () => calls.push("d"), { priority: -1 });
+            rules.run(MESSAGE, "created");
+            assert.deepStrictEqual(calls, ["b", "a", "c", "d"]);
+            calls = [];
+            rules.add({}, () => calls.push("stop"), { priority: 1, stop: true });
+            rules.run(MESSAGE, "edited");
+            assert.deepStrictEqual(calls, ["b", "stop"]);
+        });
+
+        it("says when a notification is muted, and runs nothing after", () => {
+            let rules = new RuleSet();
+            let calls = [];
+            rules.add({ titleMatches: "alice" }, (notification, type) => calls.push(type), { mute: true });
+            rules.add({}, () => calls.push("after"));
+            assert.deepStrictEqual(rules.run(MESSAGE, "edited"), { muted: true });
+            assert.deepStrictEqual(calls, ["edited"]);
+            assert.deepStrictEqual(rules.run({ ...MESSAGE, title: "Bob" }, "created"), { muted: false });
+        });
+
+        it("doesn't match on anything that wasn't fetched", () => {
+            let rules = new RuleSet();
+            rules.add({ bodyMatches: "lunch" }, null, { mute: true });
+            assert.deepStrictEqual(rules.run({ ...MESSAGE, body: undefined }, "created"), { muted: false });
+        });
+
+        it("passes errors from handlers along, and carries on", async () => {
+            let rules = new RuleSet();
+            let errors = [];
+            let calls = 0;
+            rules.add({}, () => {
+                throw new Error("Sync");
+            });
+            rules.add({}, async () => {
+                throw new Error("Async");
+            });
+            rules.add({}, () => calls++);
+            rules.run(MESSAGE, "created", (e) => errors.push(e.message));
+            await new Promise((resolve) => setImmediate(resolve));
+            assert.deepStrictEqual(errors, ["Sync", "Async"]);
+            assert.strictEqual(calls, 1);
+        });
+    });
+
+    describe("plan", () => {
+        it("mutes straight away on category and flags", () => {
+            let rules = new RuleSet();
+            rules.add({ category: CategoryID.Social }, null, { mute: true });
+            assert.deepStrictEqual(rules.plan({ category: CategoryID.Social, flags: 0 }), { mute: true });
+            assert.deepStrictEqual(rules.plan({ category: CategoryID.Email, flags: 0 }), {});
+        });
+
+        it("asks for the app ID when a rule needs it", () => {
+            let rules = new RuleSet();
+            rules.add({ appID: "com.facebook.Facebook" }, null, { mute: true });
+            assert.deepStrictEqual(rules.plan({ category: CategoryID.Social, flags: 0 }), { needsAppID: true });
+            assert.deepStrictEqual(rules.plan({ category: CategoryID.Social, flags: 0, appID: "com.facebook.Facebook" }), { mute: true });
+            assert.deepStrictEqual(rules.plan({ category: CategoryID.Social, flags: 0, appID: "com.apple.MobileSMS" }), {});
+        });
+
+        it("chooses attributes", () => {
+            let rules = new RuleSet();
+            rules.add({ category: CategoryID.Email }, null, { attributes: [{ id: 1, maxLength: 10 }] });
+            assert.deepStrictEqual(rules.plan({ category: CategoryID.Email, flags: 0 }), { attributes: [{ id: 1, maxLength: 10 }] });
+        });
+
+        it("fetches everything when a rule that comes first needs text", () => {
+            let rules = new RuleSet();
+            rules.add({ titleMatches: "Alice" }, null, { stop: true, priority: 1 });
+            rules.add({}, null, { mute: true });
+            assert.deepStrictEqual(rules.plan({ category: CategoryID.Social, flags: 0 }), {});
+        });
+
+        it("ignores rules that only have handlers", () => {
+            let rules = new RuleSet();
+            rules.add({ appID: "com.apple.MobileSMS" }, () => {});
+            assert.deepStrictEqual(rules.plan({ category: CategoryID.Social, flags: 0 }), {});
+        });
+    });
+
+    describe("quiet hours", () => {
+        it("only applies rules between the times given, even past midnight", () => {
+            let now = new Date(2026, 9, 18, 23, 0);
+            let rules = new RuleSet({ now: () => now });
+            rules.add({}, null, { mute: true, quietHours: { start: "22:00", end: "07:00" } });
+            assert.strictEqual(rules.run(MESSAGE, "created").muted, true);
+            now = new Date(2026, 9, 19, 6, 59);
+            assert.strictEqual(rules.run(MESSAGE, "created").muted, true);
+            now = new Date(2026, 9, 19, 7, 0);
+            assert.strictEqual(rules.run(MESSAGE, "created").muted, false);
+            assert.deepStrictEqual(rules.plan({ category: CategoryID.Social, flags: 0 }), {});
+        });
+
+        it("refuses times that don't make sense", () => {
+            let rules = new RuleSet();
+            assert.throws(() => rules.add({}, null, { quietHours: { start: "25:00", end: "07:00" } }), /Quiet hours time "25:00" is invalid/);
+            assert.throws(() => rules.add({}, null, { quietHours: { start: "22:00" } }), /Quiet hours time "undefined" is invalid/);
+        });
+    });
+
+    describe("rate limit", () => {
+        it("applies a rule a number of times per app in each interval", () => {
+            let now = new Date(0);
+            let rules = new RuleSet({ now: () => now });
+            let calls = [];
+            rules.add({}, (notification) => calls.push(notification.appID), { rateLimit: { count: 2, interval: 1000 } });
+            for (let i = 0; i < 3; i++) {
+                rules.run(MESSAGE, "created");
+                rules.run({ ...MESSAGE, appID: "com.apple.mobilemail" }, "created");
+            }
+            assert.deepStrictEqual(calls, ["com.apple.MobileSMS", "com.apple.mobilemail", "com.apple.MobileSMS", "com.apple.mobilemail"]);
+            now = new Date(1001);
+            rules.run(MESSAGE, "created");
+            assert.strictEqual(calls.length, 5);
+        });
+
+        it("falls through to the next rule when over the limit", () => {
+            let rules = new RuleSet();
+            rules.add({}, null, { mute: true, rateLimit: { count: 1, interval: 60000 } });
+            assert.strictEqual(rules.run(MESSAGE, "created").muted, true);
+            assert.strictEqual(rules.run(MESSAGE, "created").muted, false);
+        });
+
+        it("lets a number through per minute, and mutes the rest", () => {
+            let now = new Date(0);
+            let rules = new RuleSet({ now: () => now });
+            let calls = [];
+            rules.add({}, null, { rateLimit: { count: 2, interval: 60000, then: "mute" } });
+            rules.add({}, (notification) => calls.push(notification.appID));
+            let results = [];
+            for (let i = 0; i < 4; i++) results.push(rules.run(MESSAGE, "created").muted);
+            assert.deepStrictEqual(results, [false, false, true, true]);
+            assert.strictEqual(calls.length, 2);
+            // Other apps have their own limit
+            assert.strictEqual(rules.run({ ...MESSAGE, appID: "com.apple.mobilemail" }, "created").muted, false);
+
+            // Muting before anything is fetched needs the app ID, as the limit is per app
+            assert.deepStrictEqual(rules.plan({ category: CategoryID.Social, flags: 0 }), { needsAppID: true });
+            assert.deepStrictEqual(rules.plan({ category: CategoryID.Social, flags: 0, appID: "com.apple.MobileSMS" }), { mute: true });
+
+            // The muted ones don't count, so it lets more through a minute after the first ones
+            now = new Date(60001);
+            assert.deepStrictEqual(rules.plan({ category: CategoryID.Social, flags: 0, appID: "com.apple.MobileSMS" }), {});
+            assert.strictEqual(rules.run(MESSAGE, "created").muted, false);
+            assert.strictEqual(calls.length, 4);
+        });
+
+        it("refuses over-limit actions it doesn't know", () => {
+            let rules = new RuleSet();
+            assert.throws(() => rules.add({}, null, { rateLimit: { count: 1, interval: 1000, then: "beep" } }), /Rule rate limit can't "beep", only "skip" or "mute"/);
+        });
+    });
+
+    it("removes rules, by rule or ID", () => {
+        let rules = new RuleSet();
+        let first = rules.add({}, null);
+        let second = rules.add({}, null);
+        assert.strictEqual(rules.remove(first), true);
+        assert.strictEqual(rules.remove(second.id), true);
+        assert.strictEqual(rules.remove(second), false);
+        assert.deepStrictEqual(rules.rules, []);
+    });
+
+    it("refuses bad rules", () => {
+        let rules = new RuleSet();
+        assert.throws(() => rules.add(null, null), /Rule match must be an object/);
+        assert.throws(() => rules.add({}, "handler"), /Rule handler must be a function/);
+        assert.throws(() => rules.add({ appId: "com.apple.MobileSMS" }, null, { mute: true }), /Rule can't match on "appId", only "appID", "category"/);
+        assert.deepStrictEqual(rules.rules, []);
+        assert.throws(() => rules.add({}, null, { rateLimit: { count: 1 } }), /Rule rate limit needs a count and an interval/);
+    });
+});
@@ -0,0 +1,243 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const EventEmitter = require("node:events");
+const http = require("node:http");
+const { once } = require("node:events");
+const { ANCSServer } = require("../server.js");
+const { EventBuffer } = require("../stream.js");
+const { notification } = require("./fake-notifications.js");
+const { ANCSClient, ControlPointError, ControlPointErrorCode, ClientError, ClientErrorCode, NotificationAttributeID, CategoryID } = require("../index.js");
+
+const TOKEN = "correct-horse-battery-staple";
+
+/**
+ * Enough of a client to serve, which remembers the actions performed
+ * @returns {EventEmitter}
+ */
+function fakeClient() {
+    let client = new EventEmitter();
+    client.notifications = { "00000001": notification("00000001") };
+    client.appNames = {};
+    client.actions = [];
+    client.events = (options) => new EventBuffer(client, options);
+    client.getAppName = async (appID) => {
+        if (appID != "com.apple.MobileSMS") return "";
+        client.appNames[appID] = "Messages";
+        return "Messages";
+    };
+    client.performAction = async (id, action) => {
+        if (!client.notifications[id]) throw new ControlPointError(ControlPointErrorCode.InvalidParameter);
+        if (action == "positive") throw new ClientError(ClientErrorCode.ActionNotOffered, `Notification ${id} has no positive action`);
+        client.actions.push([id, action]);
+    };
+    return client;
+}
+
+describe("ANCSServer", () => {
+    let client, server, base;
+
+    beforeEach(async () => {
+        client = fakeClient();
+        server = new ANCSServer(client, { token: TOKEN, port: 0, heartbeat: 50 });
+        await server.start();
+        base = `http://127.0.0.1:${server.address.port}`;
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    /**
+     * Makes a request with the token
+     * @param {String} path
+     * @param {RequestInit} [init]
+     * @returns {Promise<Response>}
+     */
+    function request(path, init) {
+        return fetch(base + path, { ...init, headers: { Authorization: `Bearer ${TOKEN}`, ...init?.headers } });
+    }
+
+    /**
+     * Opens the event feed
+     * @returns {Promise<{response: http.IncomingMessage, next: function(): Promise<{event: String, data: Object}>}>}
+     */
+    async function feed() {
+        let req = http.get(`${base}/events?token=${TOKEN}`);
+        let [response] = await once(req, "response");
+        response.setEncoding("utf8");
+        let text = "";
+        response.on("data", (data) => {
+            text += data;
+            response.emit("messages");
+        });
+        const next = async () => {
+            for (;;) {
+                let end = text.indexOf("\n\n");
+                if (end != -1) {
+                    let message = text.slice(0, end);
+                    text = text.slice(end + 2);
+                    // Skip comments
+                    if (message.startsWith(":")) continue;
+                    let fields = Object.fromEntries(message.split("\n").map((line) => [line.slice(0, line.indexOf(":")), line.slice(line.indexOf(":") + 2)]));
+                    return { event: fields.event, data: JSON.parse(fields.data) };
+                }
+                await once(response, "messages");
+            }
+        };
+        // Wait until it's listening
+        await once(response, "messages");
+        return { response, next };
+    }
+
+    it("listens on localhost by default, with a random token", async () => {
+        let other = new ANCSServer(client, { port: 0 });
+        await other.start();
+        try {
+            assert.strictEqual(other.address.address, "127.0.0.1");
+            assert.ok(other.token.length >= 32);
+            assert.notStrictEqual(other.token, new ANCSServer(client).token);
+        } finally {
+            await other.stop();
+        }
+        assert.throws(() => new ANCSServer(client, { token: "" }), /Token must be a string, and not empty/);
+        assert.throws(() => new ANCSServer(), /No ANCSClient provided/);
+    });
+
+    it("needs the token", async () => {
+        let missing = await fetch(`${base}/notifications`);
+        assert.strictEqual(missing.status, 401);
+        assert.strictEqual(missing.headers.get("www-authenticate"), "Bearer");
+        let wrong = await request("/notifications", { headers: { Authorization: "Bearer nope" } });
+        assert.strictEqual(wrong.status, 401);
+        let query = await fetch(`${base}/notifications?token=${TOKEN}`);
+        assert.strictEqual(query.status, 200);
+    });
+
+    it("lists the notifications cache", async () => {
+        let response = await request("/notifications");
+        assert.strictEqual(response.headers.get("content-type"), "application/json; charset=utf-8");
+        let notifications = await response.json();
+        assert.strictEqual(notifications.length, 1);
+        assert.strictEqual(notifications[0].id, "00000001");
+        assert.strictEqual(notifications[0].title, "Alice");
+        assert.strictEqual(notifications[0].category, CategoryID.Social);
+        let one = await request("/notifications/00000001");
+        assert.strictEqual((await one.json()).body, "Are we still on for lunch?");
+        let missing = await request("/notifications/00000009");
+        assert.strictEqual(missing.status, 404);
+    });
+
+    it("fetches app names", async () => {
+        let response = await request("/apps/com.apple.MobileSMS");
+        assert.deepStrictEqual(await response.json(), { appID: "com.apple.MobileSMS", name: "Messages" });
+        let cache = await request("/apps");
+        assert.deepStrictEqual(await cache.json(), { "com.apple.MobileSMS": "Messages" });
+    });
+
+    it("answers 503 when the client isn't listening", async () => {
+        // A real client, which hasn't been started
+        let idle = new ANCSClient("01:23:45:67:89:AB");
+        client.getAppName = (appID) => idle.getAppName(appID);
+        client.performAction = (id, action) => idle.performAction(id, action);
+        let app = await request("/apps/com.apple.mobilemail");
+        assert.strictEqual(app.status, 503);
+        assert.deepStrictEqual(await app.json(), { error: "Not listening to this device. Call .startListening() first", code: ClientErrorCode.NotListening });
+        let action = await request("/notifications/00000001/actions/negative", { method: "POST" });
+        assert.strictEqual(action.status, 503);
+        // Only the error tells, not what it says
+        client.getAppName = async () => {
+            throw new Error("Not listening to this device. Call .startListening() first");
+        };
+        assert.strictEqual((await request("/apps/com.apple.mobilemail")).status, 502);
+    });
+
+    it("performs actions", async () => {
+        let response = await request("/notifications/00000001/actions/negative", { method: "POST" });
+        assert.strictEqual(response.status, 204);
+        assert.deepStrictEqual(client.actions, [["00000001", "negative"]]);
+        let notOffered = await request("/notifications/00000001/actions/positive", { method: "POST" });
+        assert.strictEqual(notOffered.status, 409);
+        assert.deepStrictEqual(await notOffered.json(), { error: "Notification 00000001 has no positive action", code: ClientErrorCode.ActionNotOffered });
+        let unknown = await request("/notifications/00000009/actions/negative", { method: "POST" });
+        assert.strictEqual(unknown.status, 404);
+        assert.strictEqual((await unknown.json()).code, ControlPointErrorCode.InvalidParameter);
+        let badAction = await request("/notifications/00000001/actions/maybe", { method: "POST" });
+        assert.strictEqual(badAction.status, 404);
+        let wrongMethod = await request("/notifications/00000001/actions/negative");
+        assert.strictEqual(wrongMethod.status, 405);
+        assert.strictEqual(client.actions.length, 1);
+    });
+
+    it("answers anything else with 404", async () => {
+        let response = await request("/settings");
+        assert.strictEqual(response.status, 404);
+        assert.deepStrictEqual(await response.json(), { error: "There's nothing here" });
+    });
+
+    it("sends events down a feed", async () => {
+        let { next } = await feed();
+        let edited = notification("00000001", { [NotificationAttributeID.Title]: "Alice (edited)" });
+        client.emit("created", notification("00000002", { [NotificationAttributeID.Title]: "Bob" }));
+        client.notifications["00000001"] = edited;
+        client.emit("edited", edited);
+        client.emit("removed", "00000001");
+        let created = await next();
+        assert.strictEqual(created.event, "created");
+        assert.strictEqual(created.data.id, "00000002");
+        assert.strictEqual(created.data.notification.title, "Bob");
+        assert.strictEqual((await next()).data.notification.title, "Alice (edited)");
+        assert.deepStrictEqual(await next(), { event: "removed", data: { id: "00000001", notification: JSON.parse(JSON.stringify(edited)) } });
+    });
+
+    it("waits for a feed to catch up, without piling up listeners", async () => {
+        let warnings = [];
+        const warned = (warning) => warnings.push(warning);
+        process.on("warning", warned);
+        try {
+            let { next } = await feed();
+            // Each is bigger than the response's buffer, so every write has to wait for it to drain
+            let title = "a".repeat(100000);
+            for (let i = 1; i <= 20; i++) client.emit("created", notification(i.toString(16).padStart(8, "0"), { [NotificationAttributeID.Title]: title }));
+            for (let i = 1; i <= 20; i++) assert.strictEqual((await next()).data.id, i.toString(16).padStart(8, "0"));
+            await new Promise((resolve) => setImmediate(resolve));
+            assert.deepStrictEqual(warnings, []);
+        } finally {
+            process.off("warning", warned);
+        }
+    });
+
+    it("sends heartbeats, and stops listening to the client when the feed closes", async () => {
+        let { response } = await feed();
+        assert.strictEqual(client.listenerCount("created"), 1);
+        let text = "";
+        response.on("data", (data) => text += data);
+        await new Promise((resolve) => setTimeout(resolve, 120));
+        assert.match(text, /: heartbeat\n\n/);
+        response.destroy();
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        assert.strictEqual(client.listenerCount("created"), 0);
+    });
+
+    it("ends feeds when stopped", async () => {
+        let { response } = await feed();
+        let ended = once(response, "end");
+        assert.strictEqual(await server.stop(), true);
+        await ended;
+        assert.strictEqual(server.started, false);
+        assert.strictEqual(client.listenerCount("created"), 0);
+        assert.strictEqual(await server.stop(), false);
+    });
+
+    it("allows the origin it's given", async () => {
+        await server.stop();
+        server = new ANCSServer(client, { token: TOKEN, port: 0, origin: "http://dashboard.local" });
+        await server.start();
+        base = `http://127.0.0.1:${server.address.port}`;
+        let preflight = await fetch(`${base}/notifications`, { method: "OPTIONS" });
+        assert.strictEqual(preflight.status, 204);
+        assert.strictEqual(preflight.headers.get("access-control-allow-origin"), "http://dashboard.local");
+        assert.match(preflight.headers.get("access-control-allow-headers"), /Authorization/);
+        let response = await request("/notifications");
+        assert.strictEqual(response.headers.get("access-control-allow-origin"), "http://dashboard.local");
+    });
+});
@@ -0,0 +1,133 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const EventEmitter = require("node:events");
+const { EventBuffer, OverflowPolicy } = require("../stream.js");
+
+/**
+ * Enough of a client to buffer events from
+ * @returns {EventEmitter & {notifications: Object}}
+ */
+function fakeClient() {
+    let client = new EventEmitter();
+    client.notifications = {};
+    return client;
+}
+
+/**
+ * Makes a notification and emits it
+ * @param {EventEmitter} client
+ * @param {"created"|"edited"} type
+ * @param {String} id
+ */
+function emit(client, type, id) {
+    let notification = { id, title: `Notification ${id}` };
+    client.notifications[id] = notification;
+    client.emit(type, notification);
+}
+
+describe("EventBuffer", () => {
+    it("gives out events in order, waiting for them if needed", async () => {
+        let client = fakeClient();
+        let events = new EventBuffer(client);
+        emit(client, "created", "00000001");
+        emit(client, "edited", "00000001");
+        let waiting = events.next();
+        // Removed events have the notification as it was last seen
+        client.emit("removed", "00000001");
+        delete client.notifications["00000001"];
+        client.emit("removed", "00000002");
+        assert.deepStrictEqual(await waiting, { value: { type: "created", id: "00000001", notification: { id: "00000001", title: "Notification 00000001" } }, done: false });
+        assert.strictEqual((await events.next()).value.type, "edited");
+        assert.deepStrictEqual((await events.next()).value, { type: "removed", id: "00000001", notification: { id: "00000001", title: "Notification 00000001" } });
+        assert.deepStrictEqual((await events.next()).value, { type: "removed", id: "00000002", notification: undefined });
+        let pending = events.next();
+        emit(client, "created", "00000003");
+        assert.strictEqual((await pending).value.id, "00000003");
+    });
+
+    it("ends when the client stops, after what's buffered", async () => {
+        let client = fakeClient();
+        let events = new EventBuffer(client);
+        emit(client, "created", "00000001");
+        emit(client, "created", "00000002");
+        client.emit("stop", "01:23:45:67:89:AB");
+        emit(client, "created", "00000003");
+        let ids = [];
+        for await (const event of events) ids.push(event.id);
+        assert.deepStrictEqual(ids, ["00000001", "00000002"]);
+        assert.strictEqual(client.listenerCount("created"), 0);
+        assert.strictEqual(client.listenerCount("stop"), 0);
+    });
+
+    it("stops listening when the loop is broken out of", async () => {
+        let client = fakeClient();
+        let events = new EventBuffer(client);
+        emit(client, "created", "00000001");
+        emit(client, "created", "00000002");
+        for await (const event of events) {
+            assert.strictEqual(event.id, "00000001");
+            break;
+        }
+        assert.strictEqual(client.listenerCount("created"), 0);
+        assert.deepStrictEqual(await events.next(), { value: undefined, done: true });
+    });
+
+    describe("overflow", () => {
+        it("drops the oldest events by default", async () => {
+            let client = fakeClient();
+            let events = new EventBuffer(client, { bufferSize: 2 });
+            for (const id of ["00000001", "00000002", "00000003", "00000004"]) emit(client, "created", id);
+            assert.strictEqual(events.dropped, 2);
+            assert.strictEqual((await events.next()).value.id, "00000003");
+            assert.strictEqual((await events.next()).value.id, "00000004");
+        });
+
+        it("can drop the newest events instead", async () => {
+            let client = fakeClient();
+            let events = new EventBuffer(client, { bufferSize: 2, overflow: OverflowPolicy.DropNewest });
+            for (const id of ["00000001", "00000002", "00000003", "00000004"]) emit(client, "created", id);
+            assert.strictEqual(events.dropped, 2);
+            assert.strictEqual((await events.next()).value.id, "00000001");
+            assert.strictEqual((await events.next()).value.id, "00000002");
+        });
+
+        it("can throw instead", async () => {
+            let client = fakeClient();
+            let events = new EventBuffer(client, { bufferSize: 2, overflow: OverflowPolicy.Error });
+            for (const id of ["00000001", "00000002", "00000003"]) emit(client, "created", id);
+            await assert.rejects(events.next(), /overflowed \(more than 2 events\)/);
+            assert.strictEqual(client.listenerCount("created"), 0);
+            assert.deepStrictEqual(await events.next(), { value: undefined, done: true });
+        });
+    });
+
+    describe("signal", () => {
+        it("throws the reason when aborted, even while waiting", async () => {
+            let client = fakeClient();
+            let controller = new AbortController();
+            let events = new EventBuffer(client, { signal: controller.signal });
+            emit(client, "created", "00000001");
+            assert.strictEqual((await events.next()).value.id, "00000001");
+            let waiting = events.next();
+            controller.abort();
+            await assert.rejects(waiting, { name: "AbortError" });
+            assert.strictEqual(client.listenerCount("created"), 0);
+            assert.deepStrictEqual(await events.next(), { value: undefined, done: true });
+        });
+
+        it("throws straight away if it was already aborted", async () => {
+            let client = fakeClient();
+            let events = new EventBuffer(client, { signal: AbortSignal.abort() });
+            emit(client, "created", "00000001");
+            await assert.rejects(events.next(), { name: "AbortError" });
+        });
+    });
+
+    it("refuses bad options", () => {
+        let client = fakeClient();
+        assert.throws(() => new EventBuffer(client, { bufferSize: 0 }), /Buffer size must be a whole number above 0/);
+        assert.throws(() => new EventBuffer(client, { bufferSize: 1.5 }), /Buffer size/);
+        assert.throws(() => new EventBuffer(client, { overflow: "explode" }), /Overflow policy "explode" is invalid/);
+        assert.strictEqual(client.listenerCount("created"), 0);
+    });
+});